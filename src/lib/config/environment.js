@@ -20,7 +20,7 @@ export const config = writable({
 	game: {
 		animationSpeed: 'normal',
 		autoComplete: true,
-		showHints: false,
+		showHints: true,
 	},
 	
 	// Feature flags
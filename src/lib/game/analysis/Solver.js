@@ -0,0 +1,234 @@
+// Depth-first solver that works for any variant through its own GameRules
+//
+// The search runs on a copy of the game (Game.clonePosition), generating moves with GameRules.generateLegalMoves
+// and checking wins with GameRules.checkWinCondition. Positions already searched are kept in a transposition
+// table, and moves that cannot change anything (e.g. a whole pile moved to another empty pile) are pruned.
+//
+// solve() returns { status, reason, moves, steps, nodes, elapsed }:
+//   status 'solved' with moves (serialized, replayable with Solver.toMoves), steps (readable descriptions)
+//   and notation (standard move notation, supermoves written out as their single-card steps, see GameRules.getMoveNotation),
+//   'unsolvable' when every reachable position was searched, or
+//   'unknown' when the node budget, time limit or depth limit ran out first (reason says which)
+// With a goal option the search looks for any position passing goal(game) instead of a win
+
+// Pile types whose piles all behave the same, so their order does not matter when comparing positions
+const INTERCHANGEABLE_PILES = ['tableau', 'freecell'];
+
+export class Solver {
+	constructor(options = {}) {
+		this.nodeLimit = options.nodeLimit ?? 200000; // Positions to visit before giving up
+		this.timeLimit = options.timeLimit ?? 5000; // Milliseconds before giving up
+		this.maxDepth = options.maxDepth ?? 1000; // Longest line of moves to follow
+		this.goal = options.goal ?? null; // Position test to search for instead of a win: goal(game) => boolean
+		this.ignorePileTypes = options.ignorePileTypes ?? []; // Pile types left out when comparing positions
+	}
+
+	// Search for a winning line from the game's current position; the game itself is not changed
+	solve(game) {
+		const startTime = Date.now();
+
+		try {
+			const position = game.clonePosition();
+			if (!position) {
+				return this.createResult('unknown', 'copyFailed', [], startTime);
+			}
+
+			this.rules = position.gameRules;
+			this.cardIds = new Map(position.cards.map((card, id) => [card, id]));
+			this.deadline = startTime + this.timeLimit;
+			this.nodes = 0;
+			this.visited = new Set();
+			this.path = [];
+			this.stopReason = null;
+			this.depthLimited = false;
+
+			if (this.search(position, 0)) {
+				const notation = this.getLineNotation(position, this.path);
+				return this.createResult('solved', null, this.path, startTime, this.cardIds, notation);
+			}
+			if (this.stopReason) {
+				return this.createResult('unknown', this.stopReason, [], startTime);
+			}
+			if (this.depthLimited) {
+				return this.createResult('unknown', 'depthLimit', [], startTime);
+			}
+			return this.createResult('unsolvable', null, [], startTime);
+		} finally {
+			this.visited = null; // Free the transposition table and the searched copy
+			this.cardIds = null;
+			this.path = [];
+		}
+	}
+
+	// Depth-first search; leaves the winning line in this.path
+	search(game, depth) {
+		if (this.goal ? this.goal(game) : this.rules.checkWinCondition(game)) {
+			return true;
+		}
+
+		this.nodes++;
+		if (this.nodes > this.nodeLimit) {
+			this.stopReason = 'nodeLimit';
+			return false;
+		}
+		if (this.nodes % 500 === 0 && Date.now() > this.deadline) {
+			this.stopReason = 'timeLimit';
+			return false;
+		}
+		if (depth >= this.maxDepth) {
+			this.depthLimited = true;
+			return false;
+		}
+
+		const key = this.getPositionKey(game);
+		if (this.visited.has(key)) {
+			return false;
+		}
+		this.visited.add(key);
+
+		for (const move of this.orderMoves(this.pruneMoves(game.getLegalMoves()))) {
+			// Restore the generator after each branch so shuffles along the winning line replay the same way
+			const randomState = game.random.getState();
+			move.apply(game);
+			this.path.push(move);
+
+			if (this.search(game, depth + 1)) {
+				return true;
+			}
+
+			this.path.pop();
+			move.revert(game);
+			game.random.setState(randomState);
+
+			if (this.stopReason) {
+				return false;
+			}
+		}
+		return false;
+	}
+
+	// Drop moves that lead nowhere new
+	pruneMoves(moves) {
+		const seenEmptyTargets = new Set();
+
+		return moves.filter(move => {
+			if (move.type !== 'card' && move.type !== 'stack') return true;
+			if (!move.toPile.isEmpty()) return true;
+
+			// Moving a whole pile to an empty pile of the same type changes nothing
+			if (move.fromPile.type === move.toPile.type && move.cards.length === move.fromPile.cards.length) {
+				return false;
+			}
+
+			// Empty piles of an interchangeable type are all alike: keep one target per card or stack
+			if (INTERCHANGEABLE_PILES.includes(move.toPile.type)) {
+				const target = `${move.toPile.type}:${move.fromPile.type}${move.fromPile.index}:${move.cards.length}`;
+				if (seenEmptyTargets.has(target)) return false;
+				seenEmptyTargets.add(target);
+			}
+			return true;
+		});
+	}
+
+	// Try the most promising moves first: foundation plays, uncovering cards, then building, then the stock
+	orderMoves(moves) {
+		return moves
+			.map((move, order) => ({ move, order, priority: this.getMovePriority(move) }))
+			.sort((a, b) => b.priority - a.priority || a.order - b.order)
+			.map(entry => entry.move);
+	}
+
+	getMovePriority(move) {
+		switch (move.type) {
+			case 'flip':
+				return 90;
+			case 'draw':
+				return 2;
+			case 'redeal':
+				return 1;
+			case 'special':
+				return 3;
+		}
+
+		const { fromPile, toPile } = move;
+		let priority = 0;
+
+		if (toPile.type === 'foundation') priority += 100;
+		else if (toPile.type === 'tableau') priority += toPile.isEmpty() ? 10 : 30;
+		else if (toPile.type === 'freecell') priority += 5;
+
+		// Moves that uncover a face-down card or empty a pile open up the position
+		const remaining = fromPile.cards.length - move.cards.length;
+		if (remaining === 0) priority += 20;
+		else if (!fromPile.cards[remaining - 1].isFaceUp) priority += 50;
+
+		// In open piles, digging towards a buried low card (the next ones the foundations need) is usually worth it
+		const beneath = fromPile.cards.slice(0, remaining);
+		if (fromPile.type === 'tableau' && remaining > 0 && beneath.every(card => card.isFaceUp)) {
+			const lowestBeneath = Math.min(...beneath.map(card => card.rank));
+			priority += Math.max(0, 15 - 3 * (lowestBeneath - 1)) - remaining;
+		}
+
+		if (fromPile.type === 'foundation') priority -= 40;
+		return priority;
+	}
+
+	// Compact key for a position; piles of interchangeable types are sorted so their order does not matter
+	getPositionKey(game) {
+		const pileKeys = {};
+		game.piles.forEach(pile => {
+			if (this.ignorePileTypes.includes(pile.type)) return;
+
+			// One character per card, outside ASCII so it can't clash with the separators
+			const pileKey = pile.cards
+				.map(card => String.fromCharCode(256 + this.cardIds.get(card) * 2 + (card.isFaceUp ? 1 : 0)))
+				.join('');
+			(pileKeys[pile.type] = pileKeys[pile.type] || []).push(pileKey);
+		});
+
+		const parts = Object.entries(pileKeys).map(([type, keys]) => {
+			const ordered = INTERCHANGEABLE_PILES.includes(type) ? [...keys].sort() : keys;
+			return `${type}:${ordered.join('/')}`;
+		});
+
+		// With a redeal limit, the number of redeals used is part of the position
+		const maxRedeals = this.rules.getStockDrawingRules().maxRedeals;
+		if (maxRedeals !== null && maxRedeals !== undefined) {
+			parts.push(`redeals:${game.redealCount}`);
+		}
+		return parts.join('|');
+	}
+
+	// Notation for a line of moves that has been played on the game: the moves are taken back and replayed
+	// so each stack move can be broken into the steps the rules would play (GameRules.getStackMoveSteps)
+	getLineNotation(game, path) {
+		[...path].reverse().forEach(move => move.revert(game));
+
+		return path.flatMap(move => {
+			const steps = move.type === 'stack'
+				? this.rules.getStackMoveSteps(move.cards, move.fromPile, move.toPile, game)
+				: null;
+			move.apply(game);
+			return (steps || [move]).map(step => this.rules.getMoveNotation(step));
+		});
+	}
+
+	createResult(status, reason, path, startTime, cardIds = null, notation = []) {
+		return {
+			status,
+			reason,
+			moves: cardIds ? path.map(move => move.serialize(cardIds)) : [],
+			steps: path.map(move => move.describe()),
+			notation,
+			nodes: this.nodes || 0,
+			elapsed: Date.now() - startTime
+		};
+	}
+
+	// Turn a solved result's moves into Move objects for a game in the position that was solved
+	// Play them in order with game.executeMove
+	static toMoves(game, serializedMoves) {
+		const findPile = ref => game.piles.find(p => p.type === ref.type && p.index === ref.index) || null;
+		return serializedMoves.map(data => game.gameRules.deserializeMove(data, game.cards, findPile));
+	}
+}
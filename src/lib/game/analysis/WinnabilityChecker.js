@@ -0,0 +1,112 @@
+// Runs GameRules.isPositionWinnable in a Web Worker so the board stays responsive while it searches
+//
+// check(game) resolves with the analysis result ({ status: 'winnable' | 'unwinnable' | 'unknown', ... }),
+// findLastWinnablePoint(game) with Game.findLastWinnablePoint's result for the game's history,
+// and isDeadEnd(game) with { deadEnd } from GameRules.isDeadEnd.
+// Each resolves with null when a newer request replaced it before it finished. The search can't be
+// interrupted from outside, so a superseded worker is terminated and a fresh one started for the next request.
+// Without Worker support (SSR, node scripts), or for a variant registered at runtime that the worker
+// can't rebuild (anything but a JSON definition), the search runs in place instead, on a much smaller
+// time budget (IN_PLACE_LIMITS) since it holds up the page while it runs.
+
+// Time limits (milliseconds) for searches run on the main thread: per position, and for a whole history search
+const IN_PLACE_LIMITS = { timeLimit: 200, totalTimeLimit: 1000 };
+
+export class WinnabilityChecker {
+	constructor(options = {}) {
+		this.options = options; // Search budget passed to the analysis (see Solver)
+		this.worker = null;
+		this.pending = null; // { id, resolve } of the check the worker is running
+		this.nextId = 1;
+		this.inPlaceVariants = new Set(); // Variants the worker reported it can't build
+	}
+
+	check(game) {
+		const savedState = game.gameRules.serializeGameState(game);
+		savedState.moves = []; // History isn't needed to judge the position
+		return this.analyze('position', game, savedState, options => game.gameRules.isPositionWinnable(game, options));
+	}
+
+	findLastWinnablePoint(game) {
+		const savedState = game.gameRules.serializeGameState(game, { fullHistory: true }); // Saves keep only the latest moves
+		return this.analyze('history', game, savedState, options => game.findLastWinnablePoint(options));
+	}
+
+	isDeadEnd(game) {
+		const savedState = game.gameRules.serializeGameState(game);
+		savedState.moves = [];
+		return this.analyze('deadEnd', game, savedState, options => ({ deadEnd: game.gameRules.isDeadEnd(game, options) }));
+	}
+
+	// Run a task in the worker, or in place (searchInPlace(options)) when the worker can't do it
+	async analyze(task, game, savedState, searchInPlace) {
+		const inPlaceOptions = { ...this.options };
+		Object.entries(IN_PLACE_LIMITS).forEach(([key, limit]) => {
+			inPlaceOptions[key] = Math.min(this.options[key] ?? limit, limit);
+		});
+		if (typeof Worker === 'undefined' || this.inPlaceVariants.has(savedState.variant)) {
+			this.cancel();
+			return searchInPlace(inPlaceOptions);
+		}
+
+		// JSON-defined variants travel with the task so the worker can build them too
+		const definition = game.gameRules.definition || null;
+		const result = await this.run(task, savedState, definition);
+		if (result && result.reason === 'variantUnavailable') {
+			console.warn(`The winnability worker can't build variant '${savedState.variant}'; searching on the main thread instead`);
+			this.inPlaceVariants.add(savedState.variant);
+			return searchInPlace(inPlaceOptions);
+		}
+		return result;
+	}
+
+	// Send a task to the worker, replacing any that is still running
+	run(task, savedState, definition = null) {
+		this.cancel();
+
+		const id = this.nextId++;
+		return new Promise(resolve => {
+			this.pending = { id, resolve };
+			this.getWorker().postMessage({ id, task, savedState, options: this.options, definition });
+		});
+	}
+
+	// Abandon the running check, if any; its promise resolves with null
+	cancel() {
+		if (!this.pending) return;
+
+		this.pending.resolve(null);
+		this.pending = null;
+		this.worker.terminate();
+		this.worker = null;
+	}
+
+	// Stop the worker for good (e.g. when the board is destroyed)
+	dispose() {
+		this.cancel();
+		if (this.worker) {
+			this.worker.terminate();
+			this.worker = null;
+		}
+	}
+
+	getWorker() {
+		if (!this.worker) {
+			this.worker = new Worker(new URL('./winnability.worker.js', import.meta.url), { type: 'module' });
+			this.worker.onmessage = event => this.handleResult(event.data);
+			this.worker.onerror = error => {
+				console.warn('Winnability check failed:', error.message);
+				this.handleResult({ id: this.pending?.id, result: { status: 'unknown', reason: 'error' } });
+			};
+		}
+		return this.worker;
+	}
+
+	handleResult({ id, result }) {
+		if (!this.pending || this.pending.id !== id) return; // Answer to a check that was cancelled
+
+		const { resolve } = this.pending;
+		this.pending = null;
+		resolve(result);
+	}
+}
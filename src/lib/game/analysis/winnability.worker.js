@@ -0,0 +1,43 @@
+// Web Worker that answers winnability questions off the main thread
+// Receives { id, task, savedState, options, definition } (savedState from GameRules.serializeGameState),
+// rebuilds the game for its variant and replies with { id, result }
+// The worker has its own registry with only the built-in variants: a JSON-defined variant is rebuilt from the
+// definition sent with the task, and any other variant it doesn't know is answered with reason 'variantUnavailable'
+//   task 'position': GameRules.isPositionWinnable for the current position
+//   task 'history': Game.findLastWinnablePoint (savedState must include the moves)
+//   task 'deadEnd': { deadEnd } from GameRules.isDeadEnd for the current position
+import { variantRegistry, registerDeclarativeVariant } from '../configs/variants.js';
+import { Game } from '../core/Game.js';
+
+self.onmessage = event => {
+	const { id, task, savedState, options, definition } = event.data;
+
+	try {
+		if (definition) {
+			variantRegistry.unregister(definition.id); // The page's definition wins over a built-in with the same id
+			registerDeclarativeVariant(definition);
+		}
+		if (!variantRegistry.has(savedState.variant)) {
+			self.postMessage({ id, result: { status: 'unknown', reason: 'variantUnavailable' } });
+			return;
+		}
+
+		const { deck, gameRules } = variantRegistry.create(savedState.variant, savedState.options || {});
+		const game = Game.fromSavedState(savedState, deck, gameRules);
+		if (!game) {
+			self.postMessage({ id, result: { status: 'unknown', reason: 'copyFailed' } });
+			return;
+		}
+		let result;
+		if (task === 'history') {
+			result = game.findLastWinnablePoint(options);
+		} else if (task === 'deadEnd') {
+			result = { deadEnd: gameRules.isDeadEnd(game, options) };
+		} else {
+			result = gameRules.isPositionWinnable(game, options);
+		}
+		self.postMessage({ id, result });
+	} catch (error) {
+		self.postMessage({ id, result: { status: 'unknown', reason: 'error', error: error.message } });
+	}
+};
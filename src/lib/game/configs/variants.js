@@ -0,0 +1,86 @@
+import { variantRegistry } from '../core/VariantRegistry.js';
+import { StandardDeck } from './StandardDeck.js';
+import { TarotDeck } from './TarotDeck.js';
+import { KlondikeRules } from '../rules/KlondikeRules.js';
+import { FreeCellRules } from '../rules/FreeCellRules.js';
+import { FortunesFoundationRules } from '../rules/FortunesFoundationRules.js';
+import { SawayamaRules } from '../rules/SawayamaRules.js';
+import { DeclarativeRules } from '../rules/DeclarativeRules.js';
+import bakersGame from './definitions/bakers-game.json' with { type: 'json' };
+
+// Deck classes a JSON definition can name in its "deck" field
+const DECKS = {
+	standard: StandardDeck,
+	tarot: TarotDeck
+};
+
+// Register a variant described by a JSON definition (see DeclarativeRules for the format)
+export function registerDeclarativeVariant(definition) {
+	const deckClass = DECKS[definition.deck || 'standard'];
+	if (!deckClass) {
+		throw new Error(`Variant '${definition.id}' uses unknown deck '${definition.deck}'`);
+	}
+	
+	return variantRegistry.register({
+		id: definition.id,
+		name: definition.name,
+		icon: definition.icon,
+		description: definition.description,
+		rules: definition.rules,
+		layout: definition.layout,
+		deckClass,
+		rulesClass: DeclarativeRules.forDefinition(definition)
+	});
+}
+
+// Built-in variants, in menu order
+variantRegistry.register({
+	id: 'klondike',
+	name: 'Klondike',
+	description: 'The classic: 7 face-down tableau piles, alternate colors',
+	icon: '🃏',
+	rules: 'Build up foundation piles by suit, build down tableau piles alternating colors',
+	deckClass: StandardDeck,
+	rulesClass: KlondikeRules
+});
+
+variantRegistry.register({
+	id: 'freecell',
+	name: 'FreeCell',
+	description: 'Another classic: use the free cells strategically to enable freedom of action',
+	icon: '🏗️',
+	rules: 'Four free cells temporarily store cards; alternate colors and build up foundation piles by suit',
+	deckClass: StandardDeck,
+	rulesClass: FreeCellRules,
+	layout: {
+		tallTableau: true, // Deeper stacks (up to 16 cards)
+		showMoveCapacity: true // Show empty free cells and the supermove limit
+	}
+});
+
+variantRegistry.register({
+	id: 'fortunes-foundation',
+	name: "Fortune's Foundation",
+	description: 'A tarot-deck variant created by Zachtronics; can you order the larger deck with limited degrees of freedom?',
+	icon: '🔮',
+	rules: 'Build same-suit stacks in ascending or descending order, Major Arcana can go into the foundation starting at both 0 and 21',
+	deckClass: TarotDeck,
+	rulesClass: FortunesFoundationRules,
+	layout: {
+		foundationLayout: 'split' // Minor Arcana row above the two-ended Major Arcana row
+	}
+});
+
+variantRegistry.register({
+	id: 'sawayama',
+	name: 'Sawayama',
+	description: 'Another Zachtronics-created variant: when the draw pile is empty, it becomes a free cell',
+	icon: '⛰️',
+	rules: 'Build foundation piles by suit; draw-3, no recirculation, but the empty draw pile becomes a free cell; all cards dealt face-up, any card can occupy an empty tableau slot',
+	deckClass: StandardDeck,
+	rulesClass: SawayamaRules
+});
+
+registerDeclarativeVariant(bakersGame);
+
+export { variantRegistry };
@@ -0,0 +1,55 @@
+// Minimal event emitter so stores, sounds and statistics can follow the game without
+// every UI handler having to copy state around
+export class EventEmitter {
+	constructor() {
+		this.listeners = new Map(); // event name -> Set of handlers
+	}
+
+	// Subscribe to an event; returns a function that removes the subscription
+	on(event, handler) {
+		if (!this.listeners.has(event)) {
+			this.listeners.set(event, new Set());
+		}
+		this.listeners.get(event).add(handler);
+		return () => this.off(event, handler);
+	}
+
+	// Subscribe to the next occurrence of an event only
+	once(event, handler) {
+		const unsubscribe = this.on(event, payload => {
+			unsubscribe();
+			handler(payload);
+		});
+		return unsubscribe;
+	}
+
+	// Remove a handler, or every handler for the event when none is given
+	off(event, handler = null) {
+		if (!this.listeners.has(event)) return;
+		
+		if (handler) {
+			this.listeners.get(event).delete(handler);
+		} else {
+			this.listeners.delete(event);
+		}
+	}
+
+	// Call every handler for an event; a failing handler must not break the game
+	emit(event, payload = {}) {
+		const handlers = this.listeners.get(event);
+		if (!handlers) return;
+		
+		[...handlers].forEach(handler => {
+			try {
+				handler(payload);
+			} catch (error) {
+				console.error(`Error in '${event}' listener:`, error);
+			}
+		});
+	}
+
+	// Remove all handlers for every event
+	removeAllListeners() {
+		this.listeners.clear();
+	}
+}
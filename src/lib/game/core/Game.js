@@ -1,24 +1,67 @@
 import { Pile } from './Pile.js';
-
-export class Game {
-	constructor(deckConfig, gameRules) {
+import { SeededRandom } from './SeededRandom.js';
+import { GameStorage } from './GameStorage.js';
+import { dealCards } from '../deals/DealEngine.js';
+import { MoveError } from './MoveError.js';
+import { EventEmitter } from './EventEmitter.js';
+import { VALID_MOVE, rejectMove } from './MoveValidation.js';
+import { CardMove } from '../moves/CardMove.js';
+import { StackMove } from '../moves/StackMove.js';
+import { StockDrawMove } from '../moves/StockDrawMove.js';
+import { RedealMove } from '../moves/RedealMove.js';
+import { FlipMove } from '../moves/FlipMove.js';
+import { SpecialActionMove } from '../moves/SpecialActionMove.js';
+
+// Events (payload in braces):
+//   newGame { seed, dealNumber }, gameLoaded {}, moveMade { move } (move.isAuto for auto-moves), moveUndone { move }, moveRedone { move },
+//   cardFlipped { card, pile, move }, stockDrawn { cards, move }, wasteRedealt { cards, move },
+//   gameWon { score, moves }, stateChanged { reason } after any of the above, on reset and after a failed move is rolled back
+//   moveRejected { card, targetPile, code, message } when makeMove or makeStackMove refuses a move (nothing changes)
+// A stack move the rules break into single-card steps (GameRules.getStackMoveSteps) sends one moveMade per step
+export class Game extends EventEmitter {
+	constructor(deckConfig, gameRules, random = null) {
+		super();
 		this.deckConfig = deckConfig;
 		this.gameRules = gameRules;
+		this.random = random || new SeededRandom(); // Pluggable PRNG used for every shuffle
+		this.seed = null; // Seed of the current deal
+		this.dealNumber = null; // Numbered deal (e.g. Microsoft FreeCell #11982), if one was requested
 		this.piles = [];
 		this.cards = [];
 		this.score = 0;
 		this.moves = [];
+		this.historyFromDeal = true; // False when a save dropped the oldest moves, so the history no longer starts at the deal
+		this.nextGroupId = 0; // Next Move.groupId to hand out; only ever grows, and is saved with the game
+		this.redoStack = []; // Undone moves, most recent last; cleared when a new move is made
+		this.redealCount = 0; // Times the waste has been turned back into the stock
 		this.gameStarted = false;
 		this.gameWon = false;
 		this.selectedCard = null;
 		this.debugMode = false; // Debug mode flag for score limiting
+		this.storage = null; // Created on first save from the rules' persistence config
 	}
 
 	// Initialize a new game
-	startNewGame() {
-		// Create and shuffle the deck
+	// options.seed reproduces a previous deal; a fresh seed is generated when omitted
+	// options.dealNumber deals a numbered layout (e.g. Microsoft FreeCell) instead of shuffling
+	startNewGame(options = {}) {
+		const dealNumber = options.dealNumber ?? null;
+		if (dealNumber !== null && !this.gameRules.supportsNumberedDeals()) {
+			throw new Error('This game variant does not support numbered deals');
+		}
+		
+		// Seed the generator so the same variant and seed always give the same deal
+		this.seed = options.seed ?? SeededRandom.generateSeed();
+		this.random.setSeed(this.seed);
+		this.dealNumber = dealNumber;
+		
+		// Create the deck, then either shuffle it or arrange it for the numbered deal
 		this.cards = this.deckConfig.createDeck();
-		this.shuffleDeck();
+		if (dealNumber !== null) {
+			this.cards = this.gameRules.createNumberedDeal(this.cards, dealNumber);
+		} else {
+			this.shuffleDeck();
+		}
 		
 		// Create piles
 		this.createPiles();
@@ -29,15 +72,23 @@ export class Game {
 		// Reset game state
 		this.score = 0;
 		this.moves = [];
+		this.historyFromDeal = true;
+		this.nextGroupId = 0;
+		this.redoStack = [];
+		this.redealCount = 0;
 		this.gameStarted = true;
 		this.gameWon = false;
 		this.selectedCard = null;
+		
+		this.autoSave();
+		this.emit('newGame', { seed: this.seed, dealNumber: this.dealNumber });
+		this.emit('stateChanged', { reason: 'newGame' });
 	}
 
 	// Shuffle the deck
 	shuffleDeck() {
 		for (let i = this.cards.length - 1; i > 0; i--) {
-			const j = Math.floor(Math.random() * (i + 1));
+			const j = Math.floor(this.random.next() * (i + 1));
 			[this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
 		}
 	}
@@ -59,37 +110,15 @@ export class Game {
 		});
 	}
 
-	// Implement the deal using the dealPattern object for the relevant variant
+	// Implement the deal using the dealPattern object for the relevant variant (see deals/DealEngine.js)
 	dealInitialCards() {
 		const dealPattern = this.gameRules.getDealPattern();
 		console.log('Deal pattern:', dealPattern);
 		console.log('Available cards:', this.cards.length);
 		console.log('Available piles:', this.piles.map(p => ({ type: p.type, index: p.index })));
 		
-		let cardIndex = 0;
-		
-		// Deal cards based on the deal pattern configuration
-		if (dealPattern.type === 'sequential') {
-			// Deal cards sequentially to pile types in the specified order
-			dealPattern.piles.forEach(pileType => {
-				const pileConfig = dealPattern[pileType];
-				if (!pileConfig || pileConfig.piles === 0) return;
-				
-				cardIndex = this.dealToPileType(pileType, pileConfig, cardIndex);
-			});
-		} else {
-			// For other deal types, handle each pile type that has configuration
-			Object.keys(dealPattern).forEach(pileType => {
-				if (['type', 'piles', 'faceUp', 'distribution'].includes(pileType)) return;
-				
-				const pileConfig = dealPattern[pileType];
-				if (!pileConfig || pileConfig.piles === 0) return;
-				
-				cardIndex = this.dealToPileType(pileType, pileConfig, cardIndex);
-			});
-		}
-		
-		console.log(`Dealt ${cardIndex} cards, ${this.cards.length - cardIndex} remaining`);
+		const dealtCount = dealCards(this.cards, this.piles, dealPattern);
+		console.log(`Dealt ${dealtCount} cards, ${this.cards.length - dealtCount} remaining`);
 		
 		// Verify dealing results
 		this.verifyDealingResults();
@@ -123,98 +152,6 @@ export class Game {
 		console.log('=== END VERIFICATION ===');
 	}
 	
-	// Deal cards to a specific pile type based on configuration
-	dealToPileType(pileType, pileConfig, startCardIndex) {
-		console.log(`Dealing to ${pileType} piles:`, pileConfig);
-		
-		const targetPiles = this.piles.filter(p => p.type === pileType);
-		let cardIndex = startCardIndex;
-		
-		// Deal cards to each pile according to the configuration
-		for (let pileIndex = 0; pileIndex < pileConfig.piles; pileIndex++) {
-			const targetPile = targetPiles[pileIndex];
-			if (!targetPile) {
-				console.warn(`Pile ${pileType}[${pileIndex}] not found`);
-				continue;
-			}
-			
-			const cardsForThisPile = pileConfig.cardsPerPile[pileIndex] || 0;
-			const faceUpForThisPile = pileConfig.faceUp[pileIndex] || false;
-			const faceUpPositions = pileConfig.faceUpPositions;
-			const aceRedirection = pileConfig.aceRedirection;
-			
-			console.log(`Dealing ${cardsForThisPile} cards to ${pileType}[${pileIndex}], faceUp: ${faceUpForThisPile}`);
-			
-			let cardsDealtToPile = 0;
-			while (cardsDealtToPile < cardsForThisPile) {
-				if (cardIndex >= this.cards.length) {
-					console.warn('Ran out of cards during dealing');
-					return cardIndex;
-				}
-				
-				const card = this.cards[cardIndex++];
-				
-				// Check for ace redirection (Fortune's Foundation special logic)
-				if (aceRedirection && aceRedirection.enabled) {
-					if (this.shouldRedirectCard(card, aceRedirection)) {
-						const redirectSuccess = this.redirectCardToFoundation(card, aceRedirection);
-						if (redirectSuccess) {
-							console.log(`Redirected ${card.getShortDisplay()} to foundation`);
-							// Don't increment cardsDealtToPile - we'll deal another card to replace it
-							continue;
-						}
-					}
-				}
-				
-				// Determine face-up state for this card
-				let isFaceUp = faceUpForThisPile;
-				if (faceUpPositions && faceUpPositions.includes('top')) {
-					// Special case: only top card in pile is face up
-					isFaceUp = (cardsDealtToPile === cardsForThisPile - 1);
-				}
-				
-				card.isFaceUp = isFaceUp;
-				targetPile.addCard(card);
-				cardsDealtToPile++;
-				
-				console.log(`Added card ${cardIndex-1} to ${pileType}[${pileIndex}], position ${cardsDealtToPile-1}, faceUp: ${isFaceUp}`);
-			}
-		}
-		
-		return cardIndex;
-	}
-	
-	// Check if a card should be redirected based on redirection rules
-	shouldRedirectCard(card, redirectionConfig) {
-		// Parse the condition string - for now, handle the Fortune's Foundation case
-		if (redirectionConfig.condition === 'isMinorArcana() && rank === 1') {
-			return card.isMinorArcana() && card.rank === 1;
-		}
-		return false;
-	}
-	
-	// Redirect a card to the appropriate foundation pile
-	redirectCardToFoundation(card, redirectionConfig) {
-		if (redirectionConfig.targetPileType !== 'foundation') {
-			return false;
-		}
-		
-		const foundationPiles = this.piles.filter(p => p.type === 'foundation');
-		const suitMapping = redirectionConfig.suitMapping;
-		
-		if (suitMapping && suitMapping[card.suit] !== undefined) {
-			const foundationIndex = suitMapping[card.suit];
-			if (foundationIndex < foundationPiles.length) {
-				card.isFaceUp = true;
-				foundationPiles[foundationIndex].addCard(card);
-				return true;
-			}
-		}
-		
-		return false;
-	}
-	
-
 	// Make a move
 	makeMove(card, targetPile) {
 		console.log('Game.makeMove called with:', {
@@ -222,17 +159,17 @@ export class Game {
 			targetPileType: targetPile.type,
 			targetPileIndex: targetPile.index
 		});
-		
-		if (!this.isValidMove(card, targetPile)) {
-			console.log('Move validation failed in makeMove');
-			return false;
-		}
 
-		// Find the source pile
+		// A card with others on top of it can only move together with them
 		const sourcePile = this.findCardPile(card);
-		if (!sourcePile) {
-			console.log('Could not find source pile for card');
-			return false;
+		if (sourcePile && sourcePile.getTopCard() !== card) {
+			return this.makeStackMove(card, targetPile, sourcePile.cards.slice(sourcePile.cards.indexOf(card)));
+		}
+		
+		const validation = this.validateMove(card, targetPile);
+		if (!validation.valid) {
+			console.log('Move validation failed in makeMove:', validation.message);
+			return this.refuseMove(card, targetPile, validation);
 		}
 		
 		console.log('Source pile found:', {
@@ -242,57 +179,7 @@ export class Game {
 			topCard: sourcePile.getTopCard() ? sourcePile.getTopCard().getShortDisplay() : 'none'
 		});
 
-		// Get move recording configuration from game rules
-		const moveConfig = this.gameRules.getMoveRecordingConfig();
-		
-		// Record the move based on configuration
-		const move = {};
-		if (moveConfig.recordCard) move.card = card;
-		if (moveConfig.recordFromPile) move.fromPile = sourcePile;
-		if (moveConfig.recordToPile) move.toPile = targetPile;
-		if (moveConfig.recordTimestamp) move.timestamp = Date.now();
-
-		// Remove card from source pile
-		console.log('Removing card from source pile...');
-		const removedCard = sourcePile.removeTopCard();
-		console.log('Removed card:', removedCard ? removedCard.getShortDisplay() : 'null');
-		console.log('Source pile after removal:', {
-			cardCount: sourcePile.cards.length,
-			topCard: sourcePile.getTopCard() ? sourcePile.getTopCard().getShortDisplay() : 'none'
-		});
-
-		// Add card to target pile
-		console.log('Adding card to target pile...');
-		targetPile.addCard(card);
-		console.log('Target pile after addition:', {
-			cardCount: targetPile.cards.length,
-			topCard: targetPile.getTopCard() ? targetPile.getTopCard().getShortDisplay() : 'null'
-		});
-
-		// Update score
-		const moveScore = this.gameRules.getMoveScore(card, targetPile, this);
-		this.score += moveScore;
-		
-		// Check for maximum score to prevent infinite loops (only in debug mode)
-		if (this.debugMode) {
-			const maxScore = this.gameRules.getMaximumScore();
-			if (this.score > maxScore) {
-				console.error(`Score ${this.score} exceeds maximum ${maxScore} - possible infinite loop detected!`);
-				this.score = maxScore; // Cap the score
-			}
-		}
-
-		// Add move to history
-		this.moves.push(move);
-
-		// Check if we need to flip a card and record it
-		const flippedCard = this.flipTopCardIfNeededAndRecord(sourcePile);
-		if (flippedCard) {
-			move.flippedCard = flippedCard;
-		}
-
-		// Check win condition
-		this.checkWinCondition();
+		this.executePlayerMove(new CardMove(card, sourcePile, targetPile));
 
 		console.log('Move completed successfully');
 		return true;
@@ -307,18 +194,13 @@ export class Game {
 			stackSize: cardStack.length
 		});
 		
-		if (!this.isValidMove(card, targetPile)) {
-			console.log('Move validation failed in makeStackMove');
-			return false;
+		const validation = this.validateStackMove(card, targetPile, cardStack);
+		if (!validation.valid) {
+			console.log('Move validation failed in makeStackMove:', validation.message);
+			return this.refuseMove(card, targetPile, validation);
 		}
 
-		// Find the source pile
 		const sourcePile = this.findCardPile(card);
-		if (!sourcePile) {
-			console.log('Could not find source pile for card');
-			return false;
-		}
-		
 		console.log('Source pile found:', {
 			type: sourcePile.type,
 			index: sourcePile.index,
@@ -326,42 +208,67 @@ export class Game {
 			topCard: sourcePile.getTopCard() ? sourcePile.getTopCard().getShortDisplay() : 'none'
 		});
 
-		// Get move recording configuration from game rules
-		const moveConfig = this.gameRules.getMoveRecordingConfig();
-		
-		// Record the move based on configuration
-		const move = {};
-		if (moveConfig.recordCards) move.cards = cardStack;
-		if (moveConfig.recordFromPile) move.fromPile = sourcePile;
-		if (moveConfig.recordToPile) move.toPile = targetPile;
-		if (moveConfig.recordTimestamp) move.timestamp = Date.now();
+		// Supermoves are recorded as the single-card steps that make them up, undone and redone as one group
+		const steps = this.gameRules.getStackMoveSteps(cardStack, sourcePile, targetPile, this);
+		if (steps) {
+			// Scored once, as the stack move they stand for
+			this.executeMoveSteps(steps, this.gameRules.getMoveScore(card, targetPile, this));
+		} else {
+			this.executePlayerMove(new StackMove(cardStack, sourcePile, targetPile));
+		}
+
+		console.log('Stack move completed successfully');
+		return true;
+	}
+
+	// Report a refused move to listeners; always returns false so callers can return it
+	refuseMove(card, targetPile, validation) {
+		this.emit('moveRejected', { card, targetPile, code: validation.code, message: validation.message });
+		return false;
+	}
 
-		// Remove all cards in the stack from source pile
-		console.log('Removing stack from source pile...');
-		for (let i = 0; i < cardStack.length; i++) {
-			const removedCard = sourcePile.removeTopCard();
-			console.log('Removed card:', removedCard ? removedCard.getShortDisplay() : 'null');
+	// Flip a face-down card on top of its pile (for variants where the player turns cards over)
+	flipCard(card) {
+		const pile = this.findCardPile(card);
+		if (!pile || pile.getTopCard() !== card || card.isFaceUp) {
+			console.log('Only a face-down top card can be flipped');
+			return false;
 		}
 		
-		console.log('Source pile after stack removal:', {
-			cardCount: sourcePile.cards.length,
-			topCard: sourcePile.getTopCard() ? sourcePile.getTopCard().getShortDisplay() : 'none'
-		});
+		this.executePlayerMove(new FlipMove(card, pile));
+		return true;
+	}
 
-		// Add all cards in the stack to target pile
-		console.log('Adding stack to target pile...');
-		for (const stackCard of cardStack) {
-			targetPile.addCard(stackCard);
+	// Perform one of the variant's special actions (see GameRules.getSpecialActions)
+	performSpecialAction(action) {
+		if (!this.gameRules.isValidSpecialAction(action, this)) {
+			console.log('Special action is not valid right now:', action);
+			return false;
 		}
 		
-		console.log('Target pile after stack addition:', {
-			cardCount: targetPile.cards.length,
-			topCard: targetPile.getTopCard() ? targetPile.getTopCard().getShortDisplay() : 'null'
-		});
+		this.executePlayerMove(new SpecialActionMove(action));
+		return true;
+	}
+
+	// Apply a move, add it to the history and update the game afterwards
+	// Runs as a transaction: if anything fails the game is restored and a MoveError is thrown
+	executeMove(move) {
+		const wasWon = this.gameWon;
+		this.runTransaction(() => this.recordMove(move), 'moveFailed', move);
+		
+		this.autoSave();
+		this.emitMoveEvents('moveMade', move, wasWon);
+		return move;
+	}
 
-		// Update score (only for the top card)
-		const moveScore = this.gameRules.getMoveScore(card, targetPile, this);
-		this.score += moveScore;
+	// Apply a move and add it to the history, without saving or telling listeners
+	// Callers run it inside a transaction and save and emit once everything has committed
+	recordMove(move) {
+		// Get move recording configuration from game rules
+		const moveConfig = this.gameRules.getMoveRecordingConfig();
+		if (moveConfig.recordTimestamp) move.timestamp = Date.now();
+		
+		move.apply(this);
 		
 		// Check for maximum score to prevent infinite loops (only in debug mode)
 		if (this.debugMode) {
@@ -372,39 +279,243 @@ export class Game {
 			}
 		}
 
-		// Add move to history
+		// Add move to history; a new move invalidates anything that was undone
 		this.moves.push(move);
-
-		// Check if we need to flip a card and record it
-		const flippedCard = this.flipTopCardIfNeededAndRecord(sourcePile);
-		if (flippedCard) {
-			move.flippedCard = flippedCard;
-		}
+		this.redoStack = [];
 
 		// Check win condition
 		this.checkWinCondition();
+	}
 
-		console.log('Stack move completed successfully');
-		return true;
+	// Execute a move the player chose, then let the rules' auto-move policy play whatever it allows
+	executePlayerMove(move) {
+		this.executeMove(move);
+		this.playAutoMoves(move);
+		return move;
+	}
+
+	// Execute a player's move given as single-card steps ({ card, fromPile, toPile }) as one history group,
+	// then play the auto-moves it allows
+	// The steps commit together: if one fails, none of them is kept, saved or reported to listeners
+	// With a score, the group scores that much in all (on its last step) instead of each step scoring on its own
+	executeMoveSteps(steps, score = null) {
+		const groupId = this.nextGroupId++;
+		const wasWon = this.gameWon;
+		const moves = this.runTransaction(() => steps.map(step => {
+			const move = new CardMove(step.card, step.fromPile, step.toPile);
+			move.groupId = groupId;
+			this.recordMove(move);
+			return move;
+		}));
+		
+		if (score !== null) {
+			moves.forEach(move => {
+				this.score -= move.score;
+				move.score = 0;
+			});
+			moves[moves.length - 1].score = score;
+			this.score += score;
+		}
+		
+		this.autoSave();
+		// One moveMade per step so the board can show the path; only the last step can have won the game
+		moves.forEach((move, i) => this.emitMoveEvents('moveMade', move, i === moves.length - 1 ? wasWon : true));
+		this.playAutoMoves(moves[0]);
+		return moves;
+	}
+
+	// Play the cards the auto-move policy allows (see GameRules.getAutoMovePolicy), one history entry each,
+	// grouped with the move that made them possible so undo and redo treat them as one
+	// mode overrides the policy's own; without a trigger move the auto-moves form a group of their own
+	playAutoMoves(triggerMove = null, mode = undefined) {
+		let groupId = triggerMove ? triggerMove.groupId : null; // Join the trigger's group if it already has one
+		const autoMoves = [];
+		let move;
+		while (!this.gameWon && autoMoves.length < this.cards.length && (move = this.gameRules.findAutoMove(this, mode))) {
+			move.isAuto = true;
+			if (groupId === null) groupId = this.nextGroupId++;
+			move.groupId = groupId;
+			if (triggerMove) triggerMove.groupId = groupId;
+
+			this.executeMove(move);
+			autoMoves.push(move);
+			console.log('Auto-moved', move.describe());
+		}
+		return autoMoves;
+	}
+
+	// Check if every card is in play: nothing left in the stock and nothing face down
+	canAutoComplete() {
+		return this.gameStarted && !this.gameWon && this.piles.every(pile =>
+			pile.type === 'stock' ? pile.isEmpty() : pile.cards.every(card => card.isFaceUp)
+		);
+	}
+
+	// Play every card the foundations will take, undone as one group; returns the number of cards played
+	autoComplete() {
+		if (!this.gameRules.getAutoMovePolicy().autoComplete || !this.canAutoComplete()) {
+			return 0;
+		}
+		return this.playAutoMoves(null, 'all').length;
+	}
+
+	// Tell listeners about a committed move; the detailed events are only sent when a move is first made
+	emitMoveEvents(event, move, wasWon) {
+		this.emit(event, { move });
+		
+		if (event === 'moveMade') {
+			if (move instanceof StockDrawMove) {
+				this.emit('stockDrawn', { cards: [...move.cards], move });
+			} else if (move instanceof RedealMove) {
+				this.emit('wasteRedealt', { cards: [...move.toPile.cards], move });
+			} else if (move instanceof FlipMove) {
+				this.emit('cardFlipped', { card: move.card, pile: move.pile, move });
+			} else if (move instanceof CardMove && move.flippedCard) {
+				this.emit('cardFlipped', { card: move.flippedCard, pile: move.fromPile, move });
+			}
+		}
+		
+		if (this.gameWon && !wasWon) {
+			this.emit('gameWon', { score: this.score, moves: this.moves.length });
+		}
+		this.emit('stateChanged', { reason: event });
+	}
+
+	// Run an operation atomically: if it throws, every pile, card, the score, the history
+	// and the generator are put back exactly as they were, and a MoveError is thrown
+	runTransaction(operation, errorCode = 'moveFailed', move = null) {
+		const snapshot = this.captureSnapshot();
+		
+		try {
+			return operation();
+		} catch (error) {
+			console.error('Move failed, rolling back:', error);
+			this.restoreSnapshot(snapshot);
+			this.emit('stateChanged', { reason: 'rollback' });
+			
+			if (error instanceof MoveError) {
+				throw error;
+			}
+			throw new MoveError(errorCode, error.message, { move, cause: error });
+		}
+	}
+
+	// Record everything a move can change
+	captureSnapshot() {
+		const cards = new Set(this.cards);
+		this.piles.forEach(pile => pile.cards.forEach(card => cards.add(card)));
+		
+		return {
+			piles: this.piles.map(pile => [...pile.cards]),
+			cards: [...cards].map(card => ({
+				card,
+				isFaceUp: card.isFaceUp,
+				orientation: card.orientation,
+				position: card.position
+			})),
+			score: this.score,
+			moves: [...this.moves],
+			redoStack: [...this.redoStack],
+			redealCount: this.redealCount,
+			gameWon: this.gameWon,
+			randomState: this.random.getState ? this.random.getState() : null
+		};
+	}
+
+	// Put the game back to a snapshot taken with captureSnapshot
+	restoreSnapshot(snapshot) {
+		this.piles.forEach((pile, i) => {
+			pile.cards = [...snapshot.piles[i]];
+		});
+		snapshot.cards.forEach(({ card, isFaceUp, orientation, position }) => {
+			card.isFaceUp = isFaceUp;
+			card.orientation = orientation;
+			card.position = position;
+		});
+		
+		this.score = snapshot.score;
+		this.moves = snapshot.moves;
+		this.redoStack = snapshot.redoStack;
+		this.redealCount = snapshot.redealCount;
+		this.gameWon = snapshot.gameWon;
+		
+		if (snapshot.randomState !== null && this.random.setState) {
+			this.random.setState(snapshot.randomState);
+		}
 	}
 
 	// Check if a move is valid
 	isValidMove(card, targetPile) {
-		// First check if the card can be moved from its current pile
+		return this.validateMove(card, targetPile).valid;
+	}
+
+	// Every legal action right now, as Move objects to pass to executeMove (see GameRules.generateLegalMoves)
+	getLegalMoves() {
+		return this.gameRules.generateLegalMoves(this);
+	}
+
+	// Suggested next move: { move, score, reasons }, or null (see GameRules.getHint)
+	getHint() {
+		return this.gameRules.getHint(this);
+	}
+
+	// The moves played so far in standard notation (see GameRules.getMoveNotation), e.g. ['3a', '38', 'a8']
+	getMoveNotation() {
+		return this.moves.map(move => this.gameRules.getMoveNotation(move));
+	}
+
+	// Check a single-card move and say why it is refused: { valid, code, message }
+	validateMove(card, targetPile) {
+		const sourceCheck = this.validateMoveSource(card, targetPile);
+		if (!sourceCheck.valid) {
+			return sourceCheck;
+		}
+		
+		// Then check if the move to the target pile is valid
+		return this.gameRules.validateMove(card, targetPile, this);
+	}
+
+	// Check a stack move (the selected card and everything on top of it) and say why it is refused
+	validateStackMove(card, targetPile, cardStack) {
+		const sourceCheck = this.validateMoveSource(card, targetPile);
+		if (!sourceCheck.valid) {
+			return sourceCheck;
+		}
+
+		// The stack must be the selected card and everything on top of it, in pile order
+		const sourcePile = this.findCardPile(card);
+		const pileStack = sourcePile.cards.slice(sourcePile.cards.indexOf(card));
+		if (pileStack.length !== cardStack.length || pileStack.some((pileCard, i) => pileCard !== cardStack[i])) {
+			return rejectMove('invalidStack', 'Only a card together with every card on top of it can be moved');
+		}
+
+		// The run must be legal under the variant's stacking and stack move rules
+		return this.gameRules.validateStackMove(cardStack, targetPile, this);
+	}
+
+	// Check that a card may leave its pile at all
+	validateMoveSource(card, targetPile) {
 		const sourcePile = this.findCardPile(card);
 		if (!sourcePile) {
 			console.log('Cannot find source pile for card');
-			return false;
+			return rejectMove('cardNotFound', 'That card is not in play');
+		}
+		if (sourcePile === targetPile) {
+			return rejectMove('samePile', 'The card is already on that pile');
 		}
 		
 		// Check if the card can be moved from its current pile (prevents Foundation → Tableau in Klondike)
 		if (!this.gameRules.canCardBeMovedFromPile(card, sourcePile, this)) {
 			console.log('Card cannot be moved from its current pile type:', sourcePile.type);
-			return false;
+			if (!card.isFaceUp) {
+				return rejectMove('faceDownCard', 'Face-down cards can\'t be moved');
+			}
+			if (sourcePile.getTopCard() !== card) {
+				return rejectMove('notTopCard', `Only the top card can be moved from that ${sourcePile.type}`);
+			}
+			return rejectMove('cannotMoveFromPile', `${card.getShortDisplay()} can't be moved from the ${sourcePile.type}`);
 		}
-		
-		// Then check if the move to the target pile is valid
-		return this.gameRules.isValidMove(card, targetPile, this);
+		return VALID_MOVE;
 	}
 
 	// Set debug mode for score limiting
@@ -520,19 +631,24 @@ export class Game {
 				console.log('Stock is empty, redealing waste to stock...');
 				this.redealWasteToStock();
 			}
-		} else {
-			console.log('Drawing card(s) from stock...');
-			const cardsToDrawCount = Math.min(stockRules.cardsPerDraw, stockPile.cards.length);
-			
-			for (let i = 0; i < cardsToDrawCount; i++) {
-				const card = stockPile.removeTopCard();
-				card.isFaceUp = stockRules.faceUpOnDraw;
-				wastePile.addCard(card);
-				console.log('Card drawn and added to waste:', card.getShortDisplay());
-			}
-			
-			console.log(`Drew ${cardsToDrawCount} card(s) from stock`);
+			return;
 		}
+		
+		// The whole batch (e.g. Sawayama's draw-3) is one history entry
+		console.log('Drawing card(s) from stock...');
+		const move = this.executePlayerMove(new StockDrawMove(stockPile, wastePile, stockRules.cardsPerDraw));
+		console.log(`Drew ${move.cards.length} card(s) from stock`);
+	}
+
+	// Check if clicking the stock does anything: draw a card, or redeal the waste when the stock is empty
+	canUseStock() {
+		return this.gameRules.generateStockMoves(this).length > 0;
+	}
+
+	// Check the variant's redeal limit (e.g. Klondike played with three passes through the deck)
+	canRedeal() {
+		const maxRedeals = this.gameRules.getStockDrawingRules().maxRedeals;
+		return maxRedeals === null || maxRedeals === undefined || this.redealCount < maxRedeals;
 	}
 
 	// Redeal waste pile back to stock
@@ -543,6 +659,11 @@ export class Game {
 			return;
 		}
 		
+		if (!this.canRedeal()) {
+			console.log('No redeals left');
+			return;
+		}
+		
 		const stockPile = this.piles.find(p => p.type === 'stock');
 		const wastePile = this.piles.find(p => p.type === 'waste');
 
@@ -552,19 +673,13 @@ export class Game {
 			return;
 		}
 
-		// Get stock drawing rules from game rules
-		const stockRules = this.gameRules.getStockDrawingRules();
-
-		while (!wastePile.isEmpty()) {
-			const card = wastePile.removeTopCard();
-			card.isFaceUp = stockRules.faceDownOnRedeal;
-			stockPile.addCard(card);
+		if (wastePile.isEmpty()) {
+			console.log('Waste pile is empty, nothing to redeal');
+			return;
 		}
 
-		// Check if we should shuffle on redeal
-		if (stockRules.shuffleOnRedeal) {
-			stockPile.shuffle();
-		}
+		// The move records the shuffle so undo and redo restore the exact order
+		this.executePlayerMove(new RedealMove(wastePile, stockPile));
 	}
 
 	// Check if the game is won
@@ -573,49 +688,61 @@ export class Game {
 		return this.gameWon;
 	}
 
-	// Undo the last move
+	// Undo the last move, together with the rest of its group (e.g. the auto-moves it set off)
 	undoMove() {
 		if (this.moves.length === 0) {
 			return false;
 		}
 
-		const lastMove = this.moves.pop();
-		
-		// Handle both single card and stack moves
-		if (lastMove.cards) {
-			// Stack move - remove all cards from target pile
-			for (let i = 0; i < lastMove.cards.length; i++) {
-				lastMove.toPile.removeTopCard();
-			}
-			
-			// Add all cards back to source pile
-			for (const card of lastMove.cards) {
-				lastMove.fromPile.addCard(card);
-			}
-			
-			// Revert score (only for the top card)
-			if (lastMove.cards.length > 0) {
-				const moveScore = this.gameRules.getMoveScore(lastMove.cards[lastMove.cards.length - 1], lastMove.toPile, this);
-				this.score -= moveScore;
-			}
-		} else if (lastMove.card) {
-			// Single card move
-			lastMove.toPile.removeTopCard();
-			lastMove.fromPile.addCard(lastMove.card);
-			
-			// Revert score
-			const moveScore = this.gameRules.getMoveScore(lastMove.card, lastMove.toPile, this);
-			this.score -= moveScore;
-		}
-		
-		// Check if we need to flip a card back
-		this.flipTopCardIfNeeded(lastMove.fromPile);
-		
-		// Revert any card that was flipped during the original move
-		if (lastMove.flippedCard) {
-			lastMove.flippedCard.flip(); // Flip it back to its original state
+		const { groupId } = this.moves[this.moves.length - 1];
+		do {
+			this.undoSingleMove();
+		} while (groupId !== null && this.moves.length > 0 && this.moves[this.moves.length - 1].groupId === groupId);
+		return true;
+	}
+
+	undoSingleMove() {
+		const move = this.moves[this.moves.length - 1];
+		const wasWon = this.gameWon;
+		this.runTransaction(() => {
+			const lastMove = this.moves.pop();
+			lastMove.revert(this);
+
+			// Keep the move so it can be redone
+			this.redoStack.push(lastMove);
+			this.checkWinCondition();
+		}, 'undoFailed', move);
+
+		this.autoSave();
+		this.emitMoveEvents('moveUndone', move, wasWon);
+		return true;
+	}
+
+	// Redo the most recently undone move (and the rest of its group), replaying its recorded flip and score change
+	redoMove() {
+		if (this.redoStack.length === 0) {
+			return false;
 		}
 
+		const { groupId } = this.redoStack[this.redoStack.length - 1];
+		do {
+			this.redoSingleMove();
+		} while (groupId !== null && this.redoStack.length > 0 && this.redoStack[this.redoStack.length - 1].groupId === groupId);
+		return true;
+	}
+
+	redoSingleMove() {
+		const move = this.redoStack[this.redoStack.length - 1];
+		const wasWon = this.gameWon;
+		this.runTransaction(() => {
+			this.redoStack.pop();
+			move.apply(this);
+			this.moves.push(move);
+			this.checkWinCondition();
+		}, 'redoFailed', move);
+
+		this.autoSave();
+		this.emitMoveEvents('moveRedone', move, wasWon);
 		return true;
 	}
 
@@ -626,12 +753,170 @@ export class Game {
 			piles: this.piles,
 			score: this.score,
 			moves: this.moves,
+			seed: this.seed,
+			dealNumber: this.dealNumber,
 			gameStarted: this.gameStarted,
 			gameWon: this.gameWon,
 			selectedCard: this.selectedCard
 		};
 	}
 
+	// Serialize the full game (layout, history, score and deal) for persistence
+	serializeGameState() {
+		return this.gameRules.serializeGameState(this);
+	}
+
+	// Restore a game saved with serializeGameState; returns false if the save cannot be used
+	loadGameState(savedState) {
+		const restored = this.gameRules.deserializeGameState(savedState);
+		if (!restored) {
+			return false;
+		}
+		
+		this.cards = restored.cards;
+		this.piles = restored.piles;
+		this.moves = restored.moves;
+		this.historyFromDeal = restored.historyFromDeal;
+		this.nextGroupId = restored.nextGroupId;
+		this.redoStack = [];
+		this.score = restored.score;
+		this.redealCount = restored.redealCount;
+		this.seed = restored.seed;
+		this.dealNumber = restored.dealNumber;
+		
+		// Resume the generator where it left off so later redeals match the original game
+		if (this.seed !== null) {
+			this.random.setSeed(this.seed);
+		}
+		if (restored.randomState !== null && this.random.setState) {
+			this.random.setState(restored.randomState);
+		}
+		
+		this.gameStarted = true;
+		this.selectedCard = null;
+		this.checkWinCondition();
+		this.emit('gameLoaded', {});
+		this.emit('stateChanged', { reason: 'gameLoaded' });
+		return true;
+	}
+
+	// Get the storage described by the rules' persistence config
+	getStorage() {
+		if (!this.storage) {
+			this.storage = GameStorage.forRules(this.gameRules);
+		}
+		return this.storage;
+	}
+
+	// Save after every action when the rules ask for auto-save
+	autoSave() {
+		const persistence = this.gameRules.getGameStateConfig().persistence;
+		if (!persistence.enabled || !persistence.autoSave || !this.gameStarted) {
+			return false;
+		}
+		
+		const storage = this.getStorage();
+		
+		// A finished game is not worth resuming
+		if (this.gameWon) {
+			storage.clear(this.gameRules.variantId);
+			return false;
+		}
+		
+		return storage.save(this.gameRules.variantId, this.serializeGameState());
+	}
+
+	// Create a playable game from a saved state, or null if it cannot be restored
+	static fromSavedState(savedState, deckConfig, gameRules, random = null) {
+		const game = new Game(deckConfig, gameRules, random);
+		return game.loadGameState(savedState) ? game : null;
+	}
+
+	// Independent copy of the position (cards, piles, score, redeals, generator state) without listeners,
+	// and without the move history unless keepHistory is set
+	// Card i of the copy is card i of this game, so moves serialized on one can be replayed on the other
+	clonePosition(keepHistory = false) {
+		const savedState = this.gameRules.serializeGameState(this, { fullHistory: keepHistory });
+		if (!keepHistory) savedState.moves = [];
+		return Game.fromSavedState(savedState, this.deckConfig, this.gameRules);
+	}
+
+	// Find the most recent point in the history from which the game could still be won ("where did I go wrong?")
+	// A position that can be won makes every earlier one winnable too, so the history is bisected rather than
+	// searched move by move. Positions the search can't settle count as not winnable, so the answer is always safe.
+	// Only points between move groups are considered, so undoing movesToUndo moves with undoMove lands exactly there.
+	// Returns { status, movesToUndo, nodes, elapsed }:
+	//   'winnable' - the current position can still be won (movesToUndo 0)
+	//   'found' - undo movesToUndo moves to get back to the last winnable position
+	//   'unwinnable' - not even the deal as dealt can be won (only said when the history goes back to the deal)
+	//   'unknown' - no position could be shown to be winnable within the budget
+	// options: per-position search budget for GameRules.isPositionWinnable, plus totalTimeLimit in milliseconds
+	findLastWinnablePoint(options = {}) {
+		const startTime = Date.now();
+		const { totalTimeLimit = 20000, ...searchOptions } = options;
+		const budget = { nodeLimit: 30000, timeLimit: 2000, ...searchOptions };
+
+		const position = this.clonePosition(true);
+		if (!position) {
+			return { status: 'unknown', movesToUndo: 0, nodes: 0, elapsed: 0 };
+		}
+
+		const history = [...position.moves];
+		let current = history.length; // Number of history moves applied to the copy
+		let nodes = 0;
+
+		// Move the copy to the position after the first `index` moves of the history
+		const goTo = index => {
+			while (current > index) history[--current].revert(position);
+			while (current < index) history[current++].apply(position);
+		};
+
+		// Check one point in the history: 'winnable', 'unwinnable' or 'unknown'
+		const statusAt = index => {
+			goTo(index);
+			const result = this.gameRules.isPositionWinnable(position, budget);
+			nodes += result.nodes;
+			return result.status;
+		};
+
+		const finish = (status, index) => ({
+			status,
+			movesToUndo: index === null ? 0 : history.length - index,
+			nodes,
+			elapsed: Date.now() - startTime
+		});
+
+		const latest = statusAt(history.length);
+		if (latest === 'winnable') return finish('winnable', history.length);
+
+		// History indices that start a move group (or a lone move)
+		const points = history
+			.map((move, index) => index)
+			.filter(index => index === 0 || history[index].groupId === null || history[index].groupId !== history[index - 1].groupId);
+
+		// Bisect over points: everything up to points[good] is winnable, nothing from points[bad] on has been shown to be
+		let good = null;
+		let bad = points.length;
+		let low = 0;
+		let sawUnknown = latest === 'unknown';
+
+		while (low < bad && Date.now() - startTime < totalTimeLimit) {
+			const middle = Math.floor((low + bad) / 2);
+			const status = statusAt(points[middle]);
+
+			if (status === 'winnable') {
+				good = middle;
+				low = middle + 1;
+			} else {
+				if (status === 'unknown') sawUnknown = true;
+				bad = middle;
+			}
+		}
+
+		if (good !== null) return finish('found', points[good]);
+		return finish(sawUnknown || low < bad || !position.historyFromDeal ? 'unknown' : 'unwinnable', null);
+	}
+
 	// Get all valid moves for a card
 	getValidMoves(card) {
 		return this.gameRules.getValidTargets(card, this);
@@ -643,8 +928,15 @@ export class Game {
 		this.piles = [];
 		this.score = 0;
 		this.moves = [];
+		this.historyFromDeal = true;
+		this.nextGroupId = 0;
+		this.redoStack = [];
+		this.redealCount = 0;
+		this.seed = null;
+		this.dealNumber = null;
 		this.gameStarted = false;
 		this.gameWon = false;
 		this.selectedCard = null;
+		this.emit('stateChanged', { reason: 'reset' });
 	}
 }
@@ -1,6 +1,65 @@
+import { Card } from './Card.js';
+import { Pile } from './Pile.js';
+import { deserializeMove } from '../moves/MoveFactory.js';
+import { VALID_MOVE, rejectMove } from './MoveValidation.js';
+import { CardMove } from '../moves/CardMove.js';
+import { StackMove } from '../moves/StackMove.js';
+import { StockDrawMove } from '../moves/StockDrawMove.js';
+import { RedealMove } from '../moves/RedealMove.js';
+import { FlipMove } from '../moves/FlipMove.js';
+import { SpecialActionMove } from '../moves/SpecialActionMove.js';
+import { Solver } from '../analysis/Solver.js';
+
+// Version of the save format written by serializeGameState
+const SAVE_FORMAT_VERSION = '2.0.0';
+
 export class GameRules {
-	constructor(deckConfig) {
+	constructor(deckConfig, options = {}) {
 		this.deckConfig = deckConfig;
+		this.options = this.resolveOptions(options); // Player-chosen settings described by getOptionsSchema
+	}
+
+
+	// Describe the options a player can change before a game starts
+	// Each entry is { key, label, type: 'number' | 'boolean' | 'select', default, min, max, choices: [{ value, label }], description }
+	getOptionsSchema() {
+		return []; // Default: nothing to configure
+	}
+
+	// Fill in defaults and drop values the schema does not allow
+	resolveOptions(options = {}) {
+		const resolved = {};
+		
+		this.getOptionsSchema().forEach(option => {
+			const value = options[option.key];
+			
+			switch (option.type) {
+				case 'number': {
+					const number = Number(value);
+					const valid = value !== undefined && value !== null && value !== '' && Number.isInteger(number) &&
+						(option.min === undefined || number >= option.min) &&
+						(option.max === undefined || number <= option.max);
+					resolved[option.key] = valid ? number : option.default;
+					break;
+				}
+				case 'boolean':
+					resolved[option.key] = typeof value === 'boolean' ? value : option.default;
+					break;
+				case 'select':
+					resolved[option.key] = option.choices.some(choice => choice.value === value) ? value : option.default;
+					break;
+				default:
+					console.warn('Unknown option type:', option.type);
+					resolved[option.key] = option.default;
+			}
+		});
+		
+		return resolved;
+	}
+
+	// Get the value of one option
+	getOption(key) {
+		return this.options[key];
 	}
 
 
@@ -75,6 +134,21 @@ export class GameRules {
 		};
 	}
 
+	// Check if this variant can reproduce numbered deals (e.g. Microsoft FreeCell deal numbers)
+	supportsNumberedDeals() {
+		return false; // Default: deals are always shuffled from a seed
+	}
+
+	// Get the range of accepted deal numbers, or null if numbered deals are not supported
+	getNumberedDealRange() {
+		return null;
+	}
+
+	// Order the deck for a numbered deal so that dealInitialCards lays it out correctly
+	createNumberedDeal(cards, dealNumber) {
+		throw new Error('Numbered deals are not supported in this variant');
+	}
+
 	// NEW: Check if this game variant uses stock/waste piles
 	usesStockWaste() {
 		const dealPattern = this.getDealPattern();
@@ -90,7 +164,8 @@ export class GameRules {
 			redealWhenEmpty: true, // Default: redeal waste to stock
 			shuffleOnRedeal: true, // Default: shuffle on redeal
 			faceUpOnDraw: true, // Default: cards become face up when drawn
-			faceDownOnRedeal: true // Default: cards become face down when redealt
+			faceDownOnRedeal: true, // Default: cards become face down when redealt
+			maxRedeals: null // Default: no limit on redeals
 		};
 	}
 
@@ -141,6 +216,43 @@ export class GameRules {
 		throw new Error('isValidMove must be implemented by subclass');
 	}
 
+	// Check a move and say why it is refused: { valid, code, message } (see MoveValidation.js)
+	// isValidMove stays the authority; the reason is only worked out for refused moves
+	validateMove(card, targetPile, gameState) {
+		if (this.isValidMove(card, targetPile, gameState)) {
+			return VALID_MOVE;
+		}
+
+		const blocking = this.getBlockingStatusForPile(targetPile, gameState);
+		if (blocking.isBlocked) {
+			return rejectMove('pileBlocked', blocking.description);
+		}
+		return this.explainInvalidMove(card, targetPile, gameState);
+	}
+
+	// Reason a card can't go onto an unblocked pile; subclasses override this to name their own rules
+	explainInvalidMove(card, targetPile, gameState) {
+		const cardName = card.getShortDisplay();
+		const topCard = targetPile.getTopCard();
+
+		switch (targetPile.type) {
+			case 'foundation':
+				return topCard
+					? rejectMove('invalidFoundationBuild', `${cardName} can't be played on ${topCard.getShortDisplay()} in the foundation`)
+					: rejectMove('invalidFoundationStart', `${cardName} can't start a foundation`);
+			case 'tableau':
+				return topCard
+					? rejectMove('invalidTableauBuild', `${cardName} can't be placed on ${topCard.getShortDisplay()}`)
+					: rejectMove('invalidEmptyTableau', `${cardName} can't be placed on an empty tableau pile`);
+			case 'freecell':
+				return topCard
+					? rejectMove('freeCellOccupied', 'That free cell is already occupied')
+					: rejectMove('invalidFreeCell', `${cardName} can't be put in a free cell`);
+			default:
+				return rejectMove('invalidTarget', `Cards can't be placed on the ${targetPile.type}`);
+		}
+	}
+
 	// NEW: Generalized blocking system
 	
 	// Get blocking conditions for different pile types
@@ -295,6 +407,266 @@ export class GameRules {
 		throw new Error('canMoveStack must be implemented by subclass');
 	}
 
+	// Check that cards (bottom first) form a run that may move together: all face up, each stacking on the one below
+	isValidSequence(cards) {
+		if (!cards || cards.length === 0) return false;
+		if (cards.some(card => !card.isFaceUp)) return false;
+
+		for (let i = 1; i < cards.length; i++) {
+			if (!this.canStackCards(cards[i], cards[i - 1])) {
+				return false;
+			}
+		}
+		return true;
+	}
+
+	// Check a stack move (cards bottom first) and say why it is refused
+	validateStackMove(cards, targetPile, gameState) {
+		if (targetPile.type !== 'tableau') {
+			return rejectMove('stackToNonTableau', `Only single cards can be moved to the ${targetPile.type}`);
+		}
+		if (!this.isValidSequence(cards)) {
+			return rejectMove('invalidSequence', 'Those cards don\'t form a run that can move together');
+		}
+
+		// Most stacks are refused because the bottom card doesn't fit the target, so name that first
+		const bottomCard = this.validateMove(cards[0], targetPile, gameState);
+		if (!bottomCard.valid) {
+			return bottomCard;
+		}
+
+		const maxMoveable = this.getMaxMoveableCards(gameState, targetPile);
+		if (cards.length > maxMoveable) {
+			const hasFreeCells = gameState.piles.some(p => p.type === 'freecell');
+			return hasFreeCells
+				? rejectMove('notEnoughFreeCells', `Not enough free cells to move ${cards.length} cards`)
+				: rejectMove('tooManyCards', `Only ${maxMoveable} cards can be moved at once`);
+		}
+
+		return this.canMoveStack(cards, targetPile, gameState)
+			? VALID_MOVE
+			: rejectMove('invalidStackMove', `Those ${cards.length} cards can't be moved there`);
+	}
+
+	// Largest stack that may move in one go; variants with a limit (e.g. FreeCell) override this
+	// With a targetPile the limit is for a move to that pile, otherwise it is the most any move allows
+	getMaxMoveableCards(gameState, targetPile = null) {
+		return Infinity;
+	}
+
+	// FreeCell supermove limit: (empty free cells + 1) * 2^(empty columns)
+	// An empty target column can't hold cards on the way, so it is not counted
+	getSupermoveCapacity(gameState, targetPile = null) {
+		const emptyFreeCells = gameState.piles.filter(p => p.type === 'freecell' && p.isEmpty()).length;
+		const emptyTableauPiles = gameState.piles.filter(p => p.type === 'tableau' && p.isEmpty() && p !== targetPile).length;
+		return (emptyFreeCells + 1) * Math.pow(2, emptyTableauPiles);
+	}
+
+	// The single-card steps that carry out a stack move, as [{ card, fromPile, toPile }],
+	// or null when the variant moves the stack in one go (the default)
+	getStackMoveSteps(cards, fromPile, toPile, gameState) {
+		return null;
+	}
+
+	// Break a supermove into the single-card moves a player would make by hand: the top cards wait in
+	// empty free cells and empty columns while the rest moves; null if there is not enough room
+	planSupermove(cards, fromPile, toPile, gameState) {
+		const freeCells = gameState.piles.filter(p => p.type === 'freecell' && p.isEmpty());
+		const emptyColumns = gameState.piles.filter(p =>
+			p.type === 'tableau' && p.isEmpty() && p !== fromPile && p !== toPile
+		);
+		const steps = [];
+
+		const moveRun = (run, from, to, columns) => {
+			// Few enough cards to park every one but the bottom in the free cells
+			if (run.length <= freeCells.length + 1) {
+				const parked = run.slice(1).reverse(); // Top card first
+				parked.forEach((card, i) => steps.push({ card, fromPile: from, toPile: freeCells[i] }));
+				steps.push({ card: run[0], fromPile: from, toPile: to });
+				for (let i = parked.length - 1; i >= 0; i--) {
+					steps.push({ card: parked[i], fromPile: freeCells[i], toPile: to });
+				}
+				return true;
+			}
+			if (columns.length === 0) return false;
+
+			// Otherwise move the top of the run to an empty column, the rest to the target, then the top after it
+			const [column, ...otherColumns] = columns;
+			const bottomSize = Math.min(run.length - 1, (freeCells.length + 1) * Math.pow(2, otherColumns.length));
+			const bottom = run.slice(0, bottomSize);
+			const top = run.slice(bottomSize);
+			return moveRun(top, from, column, otherColumns)
+				&& moveRun(bottom, from, to, otherColumns)
+				&& moveRun(top, column, to, otherColumns);
+		};
+
+		return moveRun(cards, fromPile, toPile, emptyColumns) ? steps : null;
+	}
+
+	// Every legal action in a game right now, as unapplied Move objects for game.executeMove
+	// Covers single cards, stacks up to the movable limit, flips, stock draws and redeals, and special actions
+	// Works on any Game, with or without the UI; card and stack moves are checked exactly as makeMove checks them
+	generateLegalMoves(game) {
+		const moves = [];
+
+		game.piles.forEach(sourcePile => {
+			if (sourcePile.type === 'stock' || sourcePile.isEmpty()) return;
+
+			const topCard = sourcePile.getTopCard();
+			if (!topCard.isFaceUp) {
+				if (this.canFlipByHand(sourcePile)) {
+					moves.push(new FlipMove(topCard, sourcePile));
+				}
+				return;
+			}
+
+			// The top card on its own
+			game.piles.forEach(targetPile => {
+				if (targetPile !== sourcePile && game.validateMove(topCard, targetPile).valid) {
+					moves.push(new CardMove(topCard, sourcePile, targetPile));
+				}
+			});
+
+			// Longer runs, growing downwards until they stop being a movable sequence
+			const maxMoveable = this.getMaxMoveableCards(game);
+			for (let i = sourcePile.cards.length - 2; i >= 0; i--) {
+				const stack = sourcePile.cards.slice(i);
+				if (stack.length > maxMoveable || !this.isValidSequence(stack)) break;
+
+				game.piles.forEach(targetPile => {
+					if (targetPile !== sourcePile && targetPile.type === 'tableau' && game.validateStackMove(stack[0], targetPile, stack).valid) {
+						moves.push(new StackMove(stack, sourcePile, targetPile));
+					}
+				});
+			}
+		});
+
+		moves.push(...this.generateStockMoves(game));
+
+		this.getSpecialActions().forEach(action => {
+			if (this.isValidSpecialAction(action, game)) {
+				moves.push(new SpecialActionMove(action));
+			}
+		});
+
+		return moves;
+	}
+
+	// Stock draw, or a redeal once the stock is empty, following the same rules as Game.drawFromStock
+	generateStockMoves(game) {
+		if (!this.usesStockWaste()) return [];
+
+		const stockPile = game.piles.find(p => p.type === 'stock');
+		const wastePile = game.piles.find(p => p.type === 'waste');
+		if (!stockPile || !wastePile) return [];
+
+		const stockRules = this.getStockDrawingRules();
+		if (!stockPile.isEmpty()) {
+			return [new StockDrawMove(stockPile, wastePile, stockRules.cardsPerDraw)];
+		}
+		if (stockRules.redealWhenEmpty && !wastePile.isEmpty() && game.canRedeal()) {
+			return [new RedealMove(wastePile, stockPile)];
+		}
+		return [];
+	}
+
+	// Check if the player turns face-down cards over on this pile type (rather than the game doing it after a move)
+	canFlipByHand(pile) {
+		const pileRules = this.getCardFlippingRules()[pile.type];
+		return !!pileRules && !pileRules.flipOnMove && pileRules.flipCondition !== 'never';
+	}
+
+	// Best next move by rateHintMove: { move, score, reasons }, or null when there is nothing to do
+	getHint(game) {
+		let best = null;
+
+		this.generateLegalMoves(game).forEach(move => {
+			const rating = this.rateHintMove(move, game);
+			if (!best || rating.score > best.score) {
+				best = { move, ...rating };
+			}
+		});
+		return best;
+	}
+
+	// Score a legal move for hints: { score, reasons } where reasons are short notes for the player
+	// Variants can override this to rank moves their own way
+	rateHintMove(move, game) {
+		const reasons = [];
+		let score = 0;
+
+		switch (move.type) {
+			case 'flip':
+				return { score: 80, reasons: ['Turn over a face-down card'] };
+			case 'draw':
+				return { score: 1, reasons: ['Draw from the stock'] };
+			case 'redeal':
+				return { score: 0, reasons: ['Turn the waste back over'] };
+			case 'special':
+				return { score: 5, reasons: [] };
+		}
+
+		const { fromPile, toPile, cards } = move;
+		const remaining = fromPile.cards.slice(0, fromPile.cards.length - cards.length);
+		const uncovered = remaining[remaining.length - 1] || null;
+
+		if (toPile.type === 'foundation') {
+			score += 50;
+			reasons.push('Build a foundation');
+		} else if (toPile.type === 'tableau') {
+			score += toPile.isEmpty() ? 0 : 10;
+		}
+
+		if (fromPile.type === 'tableau') {
+			if (uncovered && !uncovered.isFaceUp) {
+				score += 70;
+				reasons.push('Uncover a face-down card');
+			} else if (!uncovered && toPile.type === 'tableau' && toPile.isEmpty()) {
+				score -= 50; // A whole column to an empty column gains nothing
+			} else if (!uncovered) {
+				score += 40;
+				reasons.push('Empty a column');
+			}
+
+			// Cards left under the move that a foundation is waiting for
+			if (uncovered && uncovered.isFaceUp && this.canPlayToFoundation(uncovered, game)) {
+				score += 60;
+				reasons.push(`Free ${uncovered.getShortDisplay()} for a foundation`);
+			} else if (remaining.slice(0, -1).some(card => card.isFaceUp && this.canPlayToFoundation(card, game))) {
+				score += 15;
+				reasons.push('Dig towards a card a foundation needs');
+			}
+
+			// Splitting a run that is already built gains nothing by itself
+			if (uncovered && uncovered.isFaceUp && toPile.type !== 'foundation' && this.canStackCards(cards[0], uncovered)) {
+				score -= 25;
+			}
+		}
+
+		if (toPile.type === 'freecell') {
+			const emptyCells = game.piles.filter(p => p.type === 'freecell' && p.isEmpty()).length;
+			score -= emptyCells <= 1 ? 40 : 10;
+			if (emptyCells <= 1) reasons.push('Uses the last free cell');
+		}
+
+		if (fromPile.type === 'foundation') {
+			score -= 50;
+		}
+
+		// Don't suggest putting back what was just moved
+		const lastMove = game.moves[game.moves.length - 1];
+		if (lastMove && lastMove.cards && lastMove.cards[0] === cards[0] && lastMove.fromPile === toPile) {
+			score -= 60;
+		}
+
+		return { score, reasons };
+	}
+
+	// Check if a card could go to one of the foundations, wherever it lies
+	canPlayToFoundation(card, game) {
+		return game.piles.some(pile => pile.type === 'foundation' && this.isValidFoundationMove(card, pile, game));
+	}
+
 
 	// Check if the game is won
 	checkWinCondition(gameState) {
@@ -385,6 +757,64 @@ export class GameRules {
 		];
 	}
 
+	// Bounded search for a win from the game's current position (see Solver for the budget options)
+	// Returns { status: 'winnable' | 'unwinnable' | 'unknown', reason, moves, nodes, elapsed }
+	isPositionWinnable(game, options = {}) {
+		const result = new Solver(options).solve(game);
+		const status = { solved: 'winnable', unsolvable: 'unwinnable' }[result.status] || 'unknown';
+		return { status, reason: result.reason, moves: result.moves, nodes: result.nodes, elapsed: result.elapsed };
+	}
+
+	// Check if no line of play can make headway any more: no card can reach a foundation and no face-down
+	// tableau card can be turned up, however the cards are shuffled between piles first
+	// Only a finished search counts; running out of budget means "not known to be stuck"
+	isDeadEnd(game, options = {}) {
+		if (!game.gameStarted || game.gameWon) return false;
+
+		// When the stock is reshuffled on every redeal, every stock and waste card comes round again sooner or later,
+		// so their order is ignored and any of them that could be played counts as headway
+		const stockRules = this.getStockDrawingRules();
+		const openStock = this.usesStockWaste() && stockRules.redealWhenEmpty && stockRules.shuffleOnRedeal &&
+			(stockRules.maxRedeals === null || stockRules.maxRedeals === undefined);
+
+		const start = this.getProgress(game);
+		const solver = new Solver({
+			nodeLimit: 3000,
+			timeLimit: 200,
+			...options,
+			ignorePileTypes: openStock ? ['stock', 'waste'] : [],
+			goal: position => {
+				const progress = this.getProgress(position);
+				return progress.foundationCards > start.foundationCards ||
+					progress.faceDownCards < start.faceDownCards ||
+					(openStock && this.canPlayStockCard(position));
+			}
+		});
+		return solver.solve(game).status === 'unsolvable';
+	}
+
+	// Cards on the foundations and face-down cards in the tableau; every move that gets somewhere changes one of them
+	getProgress(game) {
+		const countCards = (type, test) => game.piles
+			.filter(pile => pile.type === type)
+			.reduce((total, pile) => total + pile.cards.filter(test).length, 0);
+
+		return {
+			foundationCards: countCards('foundation', () => true),
+			faceDownCards: countCards('tableau', card => !card.isFaceUp)
+		};
+	}
+
+	// Check if any stock or waste card, wherever it lies, could go to a foundation or onto the tableau
+	canPlayStockCard(game) {
+		const stockCards = game.piles
+			.filter(pile => pile.type === 'stock' || pile.type === 'waste')
+			.flatMap(pile => pile.cards);
+
+		return stockCards.some(card => this.canPlayToFoundation(card, game) ||
+			game.piles.some(pile => pile.type === 'tableau' && this.isValidTableauMove(card, pile, game)));
+	}
+
 
 	// Get game state persistence configuration
 	getGameStateConfig() {
@@ -411,25 +841,41 @@ export class GameRules {
 	}
 
 	// Serialize game state for persistence
-	serializeGameState(gameState) {
+	// Cards are referenced by their index in gameState.cards, so the save is plain JSON
+	// options.fullHistory keeps every move whatever the persistence settings, for copies made for analysis
+	serializeGameState(gameState, options = {}) {
 		const config = this.getGameStateConfig();
 		const result = {};
+		const cardIds = new Map(gameState.cards.map((card, id) => [card, id]));
 		
 		if (config.serialization.includeMetadata) {
 			result.metadata = {
 				gameType: this.name || 'Unknown',
+				variant: this.variantId || null,
 				deckType: this.deckConfig ? this.deckConfig.constructor.name : 'Unknown',
 				timestamp: Date.now(),
-				version: '1.0.0'
+				version: SAVE_FORMAT_VERSION
 			};
 		}
 		
+		// Deal identity, so the game can be restarted and redeals stay reproducible
+		result.variant = this.variantId || null;
+		result.seed = gameState.seed ?? null;
+		result.dealNumber = gameState.dealNumber ?? null;
+		result.randomState = gameState.random && gameState.random.getState ? gameState.random.getState() : null;
+		result.gameWon = !!gameState.gameWon;
+		result.options = { ...this.options }; // The rules must be rebuilt with these to resume
+		result.redealCount = gameState.redealCount || 0;
+		
 		if (config.serialization.includeCards) {
-			result.cards = gameState.cards.map(card => ({
+			result.cards = gameState.cards.map((card, id) => ({
+				id,
 				suit: card.suit,
 				rank: card.rank,
+				isWild: card.isWild,
+				specialProperties: { ...card.specialProperties },
 				isFaceUp: card.isFaceUp,
-				isWild: card.isWild
+				orientation: card.orientation
 			}));
 		}
 		
@@ -437,17 +883,22 @@ export class GameRules {
 			result.piles = gameState.piles.map(pile => ({
 				type: pile.type,
 				index: pile.index,
-				cardCount: pile.cards.length,
-				topCard: pile.getTopCard() ? {
-					suit: pile.getTopCard().suit,
-					rank: pile.getTopCard().rank
-				} : null
+				maxCards: pile.maxCards,
+				cards: pile.cards.map(card => cardIds.get(card)) // Bottom to top
 			}));
 		}
 		
-		if (config.serialization.includeMoves && config.persistence.saveHistory) {
-			result.moves = gameState.moves.slice(-config.persistence.maxHistory);
+		if (options.fullHistory) {
+			result.moves = gameState.moves.map(move => this.serializeMove(move, cardIds));
+		} else if (config.serialization.includeMoves && config.persistence.saveHistory) {
+			result.moves = gameState.moves
+				.slice(this.getSavedHistoryStart(gameState.moves, config.persistence.maxHistory))
+				.map(move => this.serializeMove(move, cardIds));
 		}
+		result.nextGroupId = gameState.nextGroupId || 0;
+		// Whether the saved history still starts at the deal
+		result.historyFromDeal = gameState.historyFromDeal !== false &&
+			!!result.moves && result.moves.length === gameState.moves.length;
 		
 		if (config.serialization.includeScore && config.persistence.saveScore) {
 			result.score = gameState.score;
@@ -456,11 +907,84 @@ export class GameRules {
 		return result;
 	}
 
+	// Index of the first move to save: at most maxHistory moves, starting between move groups so a group
+	// that is undone together is never saved in part
+	getSavedHistoryStart(moves, maxHistory) {
+		let start = Math.max(0, moves.length - maxHistory);
+		while (start > 0 && start < moves.length && moves[start].groupId !== null &&
+			moves[start].groupId === moves[start - 1].groupId) {
+			start++;
+		}
+		return start;
+	}
+
+	// Serialize a single history entry; each Move replaces card and pile objects with references
+	serializeMove(move, cardIds) {
+		return move.serialize(cardIds);
+	}
+
 	// Deserialize game state from persistence
+	// Returns the restored cards, piles and history, or null if the save cannot be restored
 	deserializeGameState(savedState) {
-		// This would be implemented to restore a game from saved state
-		// For now, return null to indicate no restoration
-		return null;
+		if (!savedState || !Array.isArray(savedState.cards) || !Array.isArray(savedState.piles)) {
+			console.warn('Saved game is missing card or pile data');
+			return null;
+		}
+		
+		const version = savedState.metadata ? savedState.metadata.version : null;
+		if (version && version.split('.')[0] !== SAVE_FORMAT_VERSION.split('.')[0]) {
+			console.warn('Unsupported save format version:', version);
+			return null;
+		}
+		
+		if (this.variantId && savedState.variant && savedState.variant !== this.variantId) {
+			console.warn(`Saved game is for ${savedState.variant}, not ${this.variantId}`);
+			return null;
+		}
+		
+		// Rebuild every card with its face-up state, orientation and special properties
+		const cards = savedState.cards.map(data => {
+			const card = new Card(data.suit, data.rank, data.isWild, { ...data.specialProperties });
+			card.isFaceUp = data.isFaceUp;
+			card.orientation = data.orientation || 'vertical';
+			return card;
+		});
+		
+		// Every card reference must point at a card, and no card may sit in two piles
+		const pileCardIds = savedState.piles.flatMap(data => data.cards || []);
+		if (pileCardIds.some(id => !cards[id]) || new Set(pileCardIds).size !== pileCardIds.length) {
+			console.warn('Saved game has invalid or duplicated card references');
+			return null;
+		}
+		
+		// Rebuild the piles in the saved order, bottom card first
+		const piles = savedState.piles.map(data => {
+			const pile = new Pile(data.type, data.index, data.maxCards ?? null);
+			(data.cards || []).forEach(id => pile.addCard(cards[id]));
+			return pile;
+		});
+		
+		const findPile = ref => piles.find(p => p.type === ref.type && p.index === ref.index) || null;
+		const moves = (savedState.moves || []).map(data => this.deserializeMove(data, cards, findPile));
+		
+		return {
+			variant: savedState.variant ?? null,
+			seed: savedState.seed ?? null,
+			dealNumber: savedState.dealNumber ?? null,
+			randomState: savedState.randomState ?? null,
+			cards,
+			piles,
+			moves,
+			historyFromDeal: savedState.historyFromDeal,
+			nextGroupId: savedState.nextGroupId,
+			score: savedState.score || 0,
+			redealCount: savedState.redealCount || 0
+		};
+	}
+
+	// Deserialize a single history entry back into a Move, resolving card ids and pile references
+	deserializeMove(data, cards, findPile) {
+		return deserializeMove(data, cards, findPile);
 	}
 
 
@@ -496,11 +1020,55 @@ export class GameRules {
 	// Get debug label configuration for card notation
 	getCardNotationConfig() {
 		return {
-			showStackedIndicator: true,    // Show S/T for stacked vs top cards
-			position: 'top-right'          // Where to position the label
+			showStackedIndicator: true,    // Show T/S/U for top, stacked and unavailable cards
+			position: 'top-right',         // Where to position the label
+			getNotationLabel: (card, sourcePile, cardIndex, gameState) => this.getNotationLabel(card, sourcePile, cardIndex, gameState)
 		};
 	}
 
+	// Card notation from the variant's own rules:
+	// T = top card that can be picked up, S = part of a run that can move as one stack, U = unavailable
+	getNotationLabel(card, sourcePile, cardIndex, gameState) {
+		if (!card || !sourcePile) return '';
+
+		if (!this.canCardBeMovedFromPile(card, sourcePile, gameState)) {
+			return 'U';
+		}
+
+		const run = sourcePile.cards.slice(cardIndex);
+		if (run.length === 1) {
+			return 'T';
+		}
+
+		// The run must be a legal sequence and fit the move limit
+		return this.isValidSequence(run) && run.length <= this.getMaxMoveableCards(gameState) ? 'S' : 'U';
+	}
+
+	// Standard move notation, as used by other FreeCell programs and solvers: tableau columns are numbered
+	// from 1, free cells lettered from a and the foundations are h (home), e.g. "3a", "a3", "3h", "38"
+	// Moves that don't go from pile to pile are written as their type (e.g. "draw")
+	getMoveNotation(move) {
+		if (!move.fromPile || !move.toPile) return move.type;
+		return this.getPileNotation(move.fromPile) + this.getPileNotation(move.toPile);
+	}
+
+	getPileNotation(pile) {
+		switch (pile.type) {
+			case 'tableau':
+				return String(pile.index + 1);
+			case 'freecell':
+				return String.fromCharCode(97 + pile.index);
+			case 'foundation':
+				return 'h';
+			case 'stock':
+				return 's';
+			case 'waste':
+				return 'w';
+			default:
+				return `${pile.type}${pile.index + 1}`;
+		}
+	}
+
 	// Get game-specific rules description
 	getRulesDescription() {
 		return 'Base solitaire rules - implement in subclass';
@@ -520,6 +1088,58 @@ export class GameRules {
 		};
 	}
 
+	// Auto-move policy: cards the game plays to the foundations by itself after each of the player's moves
+	// mode: 'none' plays nothing, 'safe' plays the cards isSafeAutoMove allows, 'all' plays anything a foundation takes
+	// autoComplete: whether Game.autoComplete may finish the game once no card is hidden
+	getAutoMovePolicy() {
+		return { mode: 'none', autoComplete: true };
+	}
+
+	// Check if playing a card to a foundation can never cost the player anything (for the 'safe' mode)
+	isSafeAutoMove(card, targetPile, gameState) {
+		return false; // Default: nothing is assumed safe
+	}
+
+	// Safe rule for tableaus built in alternating colors: a card can go up once no card it could still hold
+	// is left out, i.e. its rank is at most the lowest opposite-color foundation rank + 1 (Aces and twos always can)
+	isSafeForAlternatingColors(card, gameState) {
+		if (card.rank <= 2) return true;
+
+		const homeRanks = {};
+		gameState.piles.filter(p => p.type === 'foundation' && !p.isEmpty()).forEach(pile => {
+			const topCard = pile.getTopCard();
+			homeRanks[topCard.suit] = Math.max(homeRanks[topCard.suit] || 0, topCard.rank);
+		});
+
+		const color = card.getSuitColor();
+		const oppositeSuits = new Set(gameState.cards
+			.filter(other => other.getSuitColor() !== color)
+			.map(other => other.suit));
+		const lowestOpposite = Math.min(...[...oppositeSuits].map(suit => homeRanks[suit] || 0));
+		return card.rank <= lowestOpposite + 1;
+	}
+
+	// The next card the auto-move policy would play, as an unapplied CardMove, or null
+	// mode overrides the policy's own (Game.autoComplete plays 'all')
+	findAutoMove(game, mode = this.getAutoMovePolicy().mode) {
+		if (mode === 'none') return null;
+
+		const foundationPiles = game.piles.filter(p => p.type === 'foundation');
+		for (const pile of game.piles) {
+			if (pile.type === 'foundation' || pile.type === 'stock' || pile.isEmpty()) continue;
+
+			const card = pile.getTopCard();
+			if (!card.isFaceUp) continue;
+
+			for (const foundation of foundationPiles) {
+				if (game.validateMove(card, foundation).valid && (mode === 'all' || this.isSafeAutoMove(card, foundation, game))) {
+					return new CardMove(card, pile, foundation);
+				}
+			}
+		}
+		return null;
+	}
+
 	// NEW: Get special game actions (if any)
 	getSpecialActions() {
 		return []; // Default: no special actions
@@ -534,4 +1154,9 @@ export class GameRules {
 	executeSpecialAction(action, gameState) {
 		throw new Error('Special actions not supported in this variant');
 	}
+
+	// Undo a special game action, given whatever executeSpecialAction returned
+	revertSpecialAction(action, gameState, result) {
+		throw new Error('Special actions not supported in this variant');
+	}
 }
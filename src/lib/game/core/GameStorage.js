@@ -0,0 +1,83 @@
+// Persistence for saved games, driven by GameRules.getGameStateConfig().persistence
+export class GameStorage {
+	constructor(persistenceConfig, backend = null) {
+		this.config = persistenceConfig;
+		this.backend = backend || GameStorage.resolveBackend(persistenceConfig.storage);
+	}
+
+	// Create storage for a rules instance; pass a backend when the config asks for 'custom' storage
+	static forRules(gameRules, backend = null) {
+		return new GameStorage(gameRules.getGameStateConfig().persistence, backend);
+	}
+
+	// Look up the browser storage named in the config (null during SSR or outside the browser)
+	static resolveBackend(storageType) {
+		try {
+			if (storageType === 'localStorage' && typeof localStorage !== 'undefined') {
+				return localStorage;
+			}
+			if (storageType === 'sessionStorage' && typeof sessionStorage !== 'undefined') {
+				return sessionStorage;
+			}
+		} catch (error) {
+			// Accessing storage can throw when it is disabled by the browser
+			console.warn('Storage unavailable:', error);
+		}
+		return null;
+	}
+
+	// Check if saving is both enabled and possible
+	isAvailable() {
+		return !!(this.config.enabled && this.backend);
+	}
+
+	// Storage key for a variant, e.g. "solitaire_game_klondike"
+	getKey(variantId) {
+		return `${this.config.key}_${variantId || 'default'}`;
+	}
+
+	// Save serialized game state; returns false if nothing was written
+	save(variantId, savedState) {
+		if (!this.isAvailable()) return false;
+
+		try {
+			this.backend.setItem(this.getKey(variantId), JSON.stringify(savedState));
+			return true;
+		} catch (error) {
+			console.warn('Failed to save game:', error);
+			return false;
+		}
+	}
+
+	// Load serialized game state, or null if there is none
+	load(variantId) {
+		if (!this.isAvailable()) return null;
+
+		try {
+			const data = this.backend.getItem(this.getKey(variantId));
+			return data ? JSON.parse(data) : null;
+		} catch (error) {
+			console.warn('Failed to load saved game:', error);
+			return null;
+		}
+	}
+
+	// Remove the saved game for a variant
+	clear(variantId) {
+		if (!this.isAvailable()) return;
+
+		try {
+			this.backend.removeItem(this.getKey(variantId));
+		} catch (error) {
+			console.warn('Failed to clear saved game:', error);
+		}
+	}
+
+	// Load a saved game only if it is worth resuming (unfinished, with at least one move made)
+	loadResumable(variantId) {
+		const savedState = this.load(variantId);
+		if (!savedState || savedState.gameWon) return null;
+		if (!Array.isArray(savedState.moves) || savedState.moves.length === 0) return null;
+		return savedState;
+	}
+}
@@ -0,0 +1,11 @@
+// Error thrown when a move cannot be carried out
+// The game state is rolled back before this is thrown, so callers can simply report it
+export class MoveError extends Error {
+	constructor(code, message, details = {}) {
+		super(message);
+		this.name = 'MoveError';
+		this.code = code; // e.g. 'moveFailed', 'undoFailed', 'redoFailed'
+		this.move = details.move || null; // The move that was being applied, if any
+		this.cause = details.cause || null; // The underlying error
+	}
+}
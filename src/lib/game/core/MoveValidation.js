@@ -0,0 +1,10 @@
+// Results of move validation: { valid, code, message }
+// code is a stable identifier for the reason (e.g. 'emptyTableauKingsOnly'), message is shown to the player
+
+// Shared result for moves that are allowed
+export const VALID_MOVE = Object.freeze({ valid: true, code: 'ok', message: '' });
+
+// Result for a refused move
+export function rejectMove(code, message) {
+	return { valid: false, code, message };
+}
@@ -107,9 +107,11 @@ export class Pile {
 	}
 
 	// Shuffle the cards in the pile
-	shuffle() {
+	// Pass the game's seeded generator to keep the order reproducible; Math.random is the fallback
+	shuffle(random = null) {
+		const nextRandom = random ? () => random.next() : Math.random;
 		for (let i = this.cards.length - 1; i > 0; i--) {
-			const j = Math.floor(Math.random() * (i + 1));
+			const j = Math.floor(nextRandom() * (i + 1));
 			[this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
 		}
 		
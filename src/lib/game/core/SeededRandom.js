@@ -0,0 +1,57 @@
+// Seeded pseudo-random number generator (mulberry32)
+// Any object with setSeed(seed), next(), getState() and setState(state) can be injected into Game instead
+export class SeededRandom {
+	constructor(seed = SeededRandom.generateSeed()) {
+		this.setSeed(seed);
+	}
+
+	// Generate a fresh seed for games started without one
+	static generateSeed() {
+		return Math.floor(Math.random() * 0x100000000) >>> 0;
+	}
+
+	// Convert a numeric or string seed into a 32-bit unsigned integer
+	static normalizeSeed(seed) {
+		if (typeof seed === 'number' && Number.isFinite(seed)) {
+			return seed >>> 0;
+		}
+
+		// Hash anything else (e.g. "daily-2026-10-19") with FNV-1a
+		const text = String(seed);
+		let hash = 0x811c9dc5;
+		for (let i = 0; i < text.length; i++) {
+			hash ^= text.charCodeAt(i);
+			hash = Math.imul(hash, 0x01000193);
+		}
+		return hash >>> 0;
+	}
+
+	// Reset the generator to the start of the sequence for this seed
+	setSeed(seed) {
+		this.seed = seed;
+		this.state = SeededRandom.normalizeSeed(seed);
+	}
+
+	// Get the next number in [0, 1)
+	next() {
+		this.state = (this.state + 0x6d2b79f5) >>> 0;
+		let t = this.state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+	}
+
+	// Get the next integer in [0, max)
+	nextInt(max) {
+		return Math.floor(this.next() * max);
+	}
+
+	// Internal state, so a generator can be resumed mid-sequence
+	getState() {
+		return this.state;
+	}
+
+	setState(state) {
+		this.state = state >>> 0;
+	}
+}
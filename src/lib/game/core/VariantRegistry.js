@@ -0,0 +1,76 @@
+// Registry of playable variants, so the menu, the board and the rules all read from one place
+// A variant is { id, name, icon, description, rules, deckClass, rulesClass, layout }
+//   rules: short rules summary shown in the menu
+//   layout: optional board hints, e.g. { foundationLayout: 'split', tallTableau: true, showMoveCapacity: true }
+export class VariantRegistry {
+	constructor() {
+		this.variants = new Map(); // id -> variant, in registration order
+	}
+
+	// Add a variant; third-party variants can call this before the menu is shown
+	register(variant) {
+		if (!variant || !variant.id) {
+			throw new Error('A variant needs an id');
+		}
+		if (typeof variant.deckClass !== 'function' || typeof variant.rulesClass !== 'function') {
+			throw new Error(`Variant '${variant.id}' needs a deckClass and a rulesClass`);
+		}
+		if (this.variants.has(variant.id)) {
+			throw new Error(`Variant '${variant.id}' is already registered`);
+		}
+		
+		this.variants.set(variant.id, {
+			name: variant.id,
+			icon: '🃏',
+			description: '',
+			rules: '',
+			...variant,
+			layout: { ...(variant.layout || {}) }
+		});
+		return this.variants.get(variant.id);
+	}
+
+	// Remove a variant (mainly for replacing a built-in one)
+	unregister(id) {
+		return this.variants.delete(id);
+	}
+
+	has(id) {
+		return this.variants.has(id);
+	}
+
+	// Get a variant by id, or undefined if it is not registered
+	get(id) {
+		return this.variants.get(id);
+	}
+
+	// Get a variant by id, falling back to the first registered variant
+	resolve(id) {
+		return this.get(id) || this.getAll()[0];
+	}
+
+	// Options a player can set for a variant, from its rules' getOptionsSchema
+	getOptionsSchema(id) {
+		return this.create(id).gameRules.getOptionsSchema();
+	}
+
+	// All variants in registration order
+	getAll() {
+		return [...this.variants.values()];
+	}
+
+	// Create the deck and rules for a variant; options are checked against the rules' getOptionsSchema
+	create(id, options = {}) {
+		const variant = this.resolve(id);
+		if (!variant) {
+			throw new Error('No variants are registered');
+		}
+		
+		const deck = new variant.deckClass();
+		const gameRules = new variant.rulesClass(deck, options);
+		return { variant, deck, gameRules };
+	}
+}
+
+// Shared registry used by the app; the built-in variants are added in configs/variants.js
+export const variantRegistry = new VariantRegistry();
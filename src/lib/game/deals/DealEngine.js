@@ -0,0 +1,194 @@
+// Deal engine: lays a shuffled deck out into piles following GameRules.getDealPattern()
+//
+// Pattern fields understood here (all optional except the per-pile-type cardsPerPile):
+//   type: 'sequential' deals pile type by pile type (in pattern.piles order);
+//         'roundRobin' deals one card to every pile of every listed type in turn, row by row
+//   preDeal: [{ when: card => boolean, to: 'foundation', pileIndex: card => number, faceUp: true }]
+//            pulls matching cards out of the deck before anything else is dealt
+//   <pileType>.order: 'pile' fills each pile before the next, 'row' deals a row across the piles at a time
+//   <pileType>.faceUpMask: per-pile arrays of booleans (bottom card first), or { top: n } for the top n cards
+//   <pileType>.faceUpPositions: ['top'] is kept as shorthand for { top: 1 }
+//   <pileType>.redirect: [{ when, to, pileIndex }] sends matching cards elsewhere while dealing,
+//                        and the pile is given the next card instead
+
+// Settings keys of a deal pattern, as opposed to pile types
+const PATTERN_KEYS = ['type', 'piles', 'faceUp', 'distribution', 'preDeal'];
+
+// Deal the cards into the piles; returns the number of cards placed
+export function dealCards(cards, piles, dealPattern) {
+	const deck = [...cards];
+	let placed = 0;
+
+	// Pre-deal: pull chosen cards (e.g. aces for the foundations) out of the deck first
+	(dealPattern.preDeal || []).forEach(rule => {
+		if (typeof rule.when !== 'function') {
+			console.warn('Pre-deal rules need a when(card) predicate');
+			return;
+		}
+		
+		const matches = deck.filter(card => rule.when(card));
+		matches.forEach((card, i) => {
+			const target = findTargetPile(piles, rule, card, i);
+			if (!target) {
+				console.warn(`Pre-deal: no ${rule.to} pile for ${card.getShortDisplay()}`);
+				return;
+			}
+			deck.splice(deck.indexOf(card), 1);
+			card.isFaceUp = rule.faceUp ?? true;
+			target.addCard(card);
+			placed++;
+		});
+	});
+
+	// Work out every position to fill, in dealing order, then deal the deck into them
+	const slots = getDealSlots(piles, dealPattern);
+	let cardIndex = 0;
+
+	for (const slot of slots) {
+		let card = null;
+		while (cardIndex < deck.length) {
+			const candidate = deck[cardIndex++];
+			if (!redirectCard(candidate, piles, slot.config.redirect)) {
+				card = candidate;
+				break;
+			}
+			placed++;
+		}
+
+		if (!card) {
+			console.warn('Ran out of cards during dealing');
+			break;
+		}
+
+		card.isFaceUp = slot.faceUp;
+		slot.pile.addCard(card);
+		placed++;
+	}
+
+	if (cardIndex < deck.length) {
+		console.warn(`Deal pattern left ${deck.length - cardIndex} cards undealt`);
+	}
+
+	return placed;
+}
+
+// List { pile, config, faceUp } for each card position in the order cards are dealt
+export function getDealSlots(piles, dealPattern) {
+	const pileTypes = getPileTypes(dealPattern);
+
+	// Per pile: the pile, its pattern config and how many cards it gets
+	const entriesByType = pileTypes.map(pileType => {
+		const config = dealPattern[pileType];
+		const pilesOfType = piles.filter(p => p.type === pileType);
+		const entries = [];
+
+		for (let i = 0; i < config.piles; i++) {
+			if (!pilesOfType[i]) {
+				console.warn(`Pile ${pileType}[${i}] not found`);
+				continue;
+			}
+			entries.push({ pile: pilesOfType[i], config, pileIndex: i, count: config.cardsPerPile[i] || 0 });
+		}
+		return entries;
+	});
+
+	if (dealPattern.type === 'roundRobin') {
+		return dealRows(entriesByType.flat());
+	}
+
+	return entriesByType.flatMap(entries => {
+		const order = entries.length > 0 ? entries[0].config.order : 'pile';
+		return order === 'row' ? dealRows(entries) : dealPiles(entries);
+	});
+}
+
+// Pile types the pattern deals to, in order
+function getPileTypes(dealPattern) {
+	const pileTypes = Array.isArray(dealPattern.piles)
+		? dealPattern.piles
+		: Object.keys(dealPattern).filter(key => !PATTERN_KEYS.includes(key));
+
+	return pileTypes.filter(pileType => dealPattern[pileType] && dealPattern[pileType].piles > 0);
+}
+
+// Fill each pile completely before moving on to the next
+function dealPiles(entries) {
+	return entries.flatMap(entry =>
+		Array.from({ length: entry.count }, (_, position) => makeSlot(entry, position))
+	);
+}
+
+// Deal one card to every pile that still needs one, a row at a time
+function dealRows(entries) {
+	const slots = [];
+	const rows = Math.max(0, ...entries.map(entry => entry.count));
+
+	for (let position = 0; position < rows; position++) {
+		entries.forEach(entry => {
+			if (position < entry.count) {
+				slots.push(makeSlot(entry, position));
+			}
+		});
+	}
+	return slots;
+}
+
+function makeSlot(entry, position) {
+	return {
+		pile: entry.pile,
+		config: entry.config,
+		faceUp: isFaceUpAt(entry.config, entry.pileIndex, position, entry.count)
+	};
+}
+
+// Face-up state of the card dealt at a position (0 = bottom) in a pile
+function isFaceUpAt(config, pileIndex, position, count) {
+	let mask = config.faceUpMask;
+	if (!mask && config.faceUpPositions && config.faceUpPositions.includes('top')) {
+		mask = { top: 1 };
+	}
+
+	if (Array.isArray(mask)) {
+		const pileMask = mask[pileIndex] || [];
+		return !!pileMask[position];
+	}
+	if (mask && typeof mask.top === 'number') {
+		return position >= count - mask.top;
+	}
+	return !!(config.faceUp && config.faceUp[pileIndex]);
+}
+
+// Send a card to another pile if one of the redirect rules matches it
+function redirectCard(card, piles, rules = []) {
+	for (const rule of rules) {
+		if (typeof rule.when !== 'function') {
+			console.warn('Deal redirect rules need a when(card) predicate');
+			continue;
+		}
+		if (!rule.when(card)) continue;
+
+		const target = findTargetPile(piles, rule, card, 0);
+		if (target) {
+			card.isFaceUp = rule.faceUp ?? true;
+			target.addCard(card);
+			return true;
+		}
+	}
+	return false;
+}
+
+// Target pile for a pre-deal or redirect rule; pileIndex may be a number or a function of the card
+function findTargetPile(piles, rule, card, matchIndex) {
+	const targets = piles.filter(p => p.type === rule.to);
+	if (targets.length === 0) return null;
+
+	let index;
+	if (typeof rule.pileIndex === 'function') {
+		index = rule.pileIndex(card);
+	} else if (typeof rule.pileIndex === 'number') {
+		index = rule.pileIndex;
+	} else {
+		index = matchIndex % targets.length; // Spread matches across the piles in order
+	}
+	return targets[index] || null;
+}
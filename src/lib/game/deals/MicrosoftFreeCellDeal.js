@@ -0,0 +1,66 @@
+// Classic Microsoft FreeCell deal generator
+// Reproduces the LCG shuffle used by Windows FreeCell, so "deal #11982" is the same layout everywhere
+
+export const MIN_DEAL_NUMBER = 1;
+export const MAX_DEAL_NUMBER = 1000000;
+
+// Microsoft numbers its cards rank-major in this suit order (AC, AD, AH, AS, 2C, ...)
+const MICROSOFT_SUIT_ORDER = ['clubs', 'diamonds', 'hearts', 'spades'];
+
+// Check that a deal number is in the supported range
+export function isValidDealNumber(dealNumber) {
+	return Number.isInteger(dealNumber) && dealNumber >= MIN_DEAL_NUMBER && dealNumber <= MAX_DEAL_NUMBER;
+}
+
+// Microsoft C runtime rand(): seed = seed * 214013 + 2531011, returning bits 16-30
+function createMicrosoftRandom(seed) {
+	let state = seed;
+	return () => {
+		state = (state * 214013 + 2531011) % 0x80000000;
+		return Math.floor(state / 0x10000);
+	};
+}
+
+// Get the deal as { suit, rank } entries in the order they are dealt (row by row across the columns)
+export function getMicrosoftDealOrder(dealNumber) {
+	if (!isValidDealNumber(dealNumber)) {
+		throw new Error(`Deal number must be an integer from ${MIN_DEAL_NUMBER} to ${MAX_DEAL_NUMBER}`);
+	}
+
+	const rand = createMicrosoftRandom(dealNumber);
+	const deck = [];
+	for (let i = 51; i >= 0; i--) {
+		deck.push(i);
+	}
+
+	for (let i = 0; i < deck.length; i++) {
+		const j = deck.length - 1 - (rand() % (deck.length - i));
+		[deck[i], deck[j]] = [deck[j], deck[i]];
+	}
+
+	return deck.map(cardNumber => ({
+		suit: MICROSOFT_SUIT_ORDER[cardNumber % 4],
+		rank: Math.floor(cardNumber / 4) + 1
+	}));
+}
+
+// Arrange a standard deck so that dealing it pile by pile reproduces the Microsoft layout
+export function arrangeMicrosoftDeal(cards, dealNumber, columnCount = 8) {
+	const dealOrder = getMicrosoftDealOrder(dealNumber);
+	const dealtCards = dealOrder.map(({ suit, rank }) => {
+		const card = cards.find(c => c.suit === suit && c.rank === rank);
+		if (!card) {
+			throw new Error(`Deck is missing ${rank} of ${suit} required for a Microsoft deal`);
+		}
+		return card;
+	});
+
+	// Microsoft deals across the columns; our dealer fills one pile at a time
+	const arranged = [];
+	for (let column = 0; column < columnCount; column++) {
+		for (let i = column; i < dealtCards.length; i += columnCount) {
+			arranged.push(dealtCards[i]);
+		}
+	}
+	return arranged;
+}
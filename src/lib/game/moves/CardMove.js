@@ -0,0 +1,63 @@
+import { Move } from './Move.js';
+
+// Move a single card from one pile to another
+export class CardMove extends Move {
+	constructor(card, fromPile, toPile, type = 'card') {
+		super(type);
+		this.cards = card ? [card] : [];
+		this.fromPile = fromPile;
+		this.toPile = toPile;
+		this.flippedCard = null; // Card uncovered and flipped face up by this move
+	}
+
+	// The moved card (the bottom card for stack moves)
+	get card() {
+		return this.cards[0] || null;
+	}
+
+	getCards() {
+		return this.cards;
+	}
+
+	apply(game) {
+		const movedCards = Move.takeCards(this.fromPile, this.cards);
+		this.toPile.addCards(movedCards);
+
+		if (!this.isRecorded) {
+			// First application: the rules decide the score and whether a card is uncovered
+			this.score = game.gameRules.getMoveScore(this.card, this.toPile, game);
+			this.flippedCard = game.flipTopCardIfNeededAndRecord(this.fromPile);
+			this.isRecorded = true;
+		} else if (this.flippedCard) {
+			// Replay: flip the same card the original move uncovered
+			this.flippedCard.flip();
+		}
+
+		game.score += this.score;
+	}
+
+	revert(game) {
+		// Turn the uncovered card back over before covering it again
+		if (this.flippedCard) {
+			this.flippedCard.flip();
+		}
+
+		const movedCards = Move.takeCards(this.toPile, this.cards);
+		this.fromPile.addCards(movedCards);
+		game.score -= this.score;
+	}
+
+	describe() {
+		return `${this.card.getShortDisplay()} → ${this.toPile.type} ${this.toPile.index}`;
+	}
+
+	serialize(cardIds) {
+		return {
+			...super.serialize(cardIds),
+			card: cardIds.get(this.card),
+			fromPile: Move.pileRef(this.fromPile),
+			toPile: Move.pileRef(this.toPile),
+			flippedCard: this.flippedCard ? cardIds.get(this.flippedCard) : null
+		};
+	}
+}
@@ -0,0 +1,35 @@
+import { Move } from './Move.js';
+
+// Turn a single card over in place (for variants where the player flips cards by hand)
+export class FlipMove extends Move {
+	constructor(card, pile) {
+		super('flip');
+		this.card = card;
+		this.pile = pile;
+	}
+
+	getCards() {
+		return [this.card];
+	}
+
+	apply(game) {
+		this.card.flip();
+		this.isRecorded = true;
+	}
+
+	revert(game) {
+		this.card.flip();
+	}
+
+	describe() {
+		return `Flip ${this.card.getShortDisplay()}`;
+	}
+
+	serialize(cardIds) {
+		return {
+			...super.serialize(cardIds),
+			card: cardIds.get(this.card),
+			pile: Move.pileRef(this.pile)
+		};
+	}
+}
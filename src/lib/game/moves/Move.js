@@ -0,0 +1,67 @@
+// Base class for every entry in the game history
+// Each move knows how to apply itself to a game, revert itself, and serialize itself for saving
+export class Move {
+	constructor(type) {
+		this.type = type;
+		this.score = 0; // Score change made by this move
+		this.timestamp = null; // Set by Game when the rules ask for timestamps
+		this.isRecorded = false; // True once the first apply has fixed the outcome (flips, drawn cards, shuffles)
+		this.groupId = null; // Moves sharing a groupId are undone and redone together (a move and the auto-moves it set off)
+		this.isAuto = false; // Played by the rules' auto-move policy rather than by the player
+	}
+
+	// Apply the move to the game (also used to replay it on redo)
+	apply(game) {
+		throw new Error('apply must be implemented by subclass');
+	}
+
+	// Undo the move, restoring the game exactly as it was before apply
+	revert(game) {
+		throw new Error('revert must be implemented by subclass');
+	}
+
+	// Cards this move picks up, if any (used for display)
+	getCards() {
+		return [];
+	}
+
+	// Short human-readable description, e.g. "7♥ → tableau 3"
+	describe() {
+		return this.type;
+	}
+
+	// Serialize to plain JSON, referring to cards by id and piles by type and index
+	serialize(cardIds) {
+		return {
+			type: this.type,
+			score: this.score,
+			timestamp: this.timestamp,
+			groupId: this.groupId,
+			isAuto: this.isAuto
+		};
+	}
+
+	// Restore the common fields written by serialize
+	restoreFields(data) {
+		this.score = data.score || 0;
+		this.timestamp = data.timestamp ?? null;
+		this.groupId = data.groupId ?? null;
+		this.isAuto = !!data.isAuto;
+		this.isRecorded = true;
+		return this;
+	}
+
+	// Helper: reference a pile by type and index
+	static pileRef(pile) {
+		return pile ? { type: pile.type, index: pile.index } : null;
+	}
+
+	// Helper: remove the given cards from the top of a pile, checking they are really there
+	static takeCards(pile, cards) {
+		const topCards = pile.cards.slice(pile.cards.length - cards.length);
+		if (topCards.length !== cards.length || topCards.some((card, i) => card !== cards[i])) {
+			throw new Error(`Cards to move are not on top of ${pile.type} pile ${pile.index}`);
+		}
+		return pile.removeTopCards(cards.length);
+	}
+}
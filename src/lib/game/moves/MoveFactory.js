@@ -0,0 +1,58 @@
+import { CardMove } from './CardMove.js';
+import { StackMove } from './StackMove.js';
+import { StockDrawMove } from './StockDrawMove.js';
+import { RedealMove } from './RedealMove.js';
+import { FlipMove } from './FlipMove.js';
+import { SpecialActionMove } from './SpecialActionMove.js';
+
+// Rebuild a Move from the data written by Move.serialize
+// cards is the restored game's card list (indexed by id); findPile resolves { type, index } references
+export function deserializeMove(data, cards, findPile) {
+	const card = id => (id === null || id === undefined ? null : cards[id]);
+	const cardList = ids => (ids || []).map(id => cards[id]);
+	const pile = ref => (ref ? findPile(ref) : null);
+
+	const { type } = data;
+	if (!type) {
+		throw new Error('Move in saved game has no type');
+	}
+
+	switch (type) {
+		case 'card': {
+			const move = new CardMove(card(data.card), pile(data.fromPile), pile(data.toPile));
+			move.flippedCard = card(data.flippedCard);
+			return move.restoreFields(data);
+		}
+		case 'stack': {
+			const move = new StackMove(cardList(data.cards), pile(data.fromPile), pile(data.toPile));
+			move.flippedCard = card(data.flippedCard);
+			return move.restoreFields(data);
+		}
+		case 'draw': {
+			const move = new StockDrawMove(pile(data.fromPile), pile(data.toPile), data.count ?? (data.cards || []).length);
+			move.cards = cardList(data.cards);
+			move.faceUpBefore = [...(data.faceUpBefore || [])];
+			return move.restoreFields(data);
+		}
+		case 'redeal': {
+			const move = new RedealMove(pile(data.fromPile), pile(data.toPile));
+			move.cards = cardList(data.cards);
+			move.faceUpBefore = [...(data.faceUpBefore || [])];
+			move.previousStock = cardList(data.previousStock);
+			move.previousStockFaceUp = [...(data.previousStockFaceUp || [])];
+			move.stockOrder = cardList(data.stockOrder);
+			move.randomState = data.randomState ?? null;
+			move.randomStateAfter = data.randomStateAfter ?? null;
+			return move.restoreFields(data);
+		}
+		case 'flip':
+			return new FlipMove(card(data.card), pile(data.pile)).restoreFields(data);
+		case 'special': {
+			const move = new SpecialActionMove(data.action);
+			move.result = data.result ?? null;
+			return move.restoreFields(data);
+		}
+		default:
+			throw new Error(`Unknown move type in saved game: ${type}`);
+	}
+}
@@ -0,0 +1,104 @@
+import { Move } from './Move.js';
+
+// Turn the waste back into the stock, shuffling it when the rules say so
+export class RedealMove extends Move {
+	constructor(wastePile, stockPile) {
+		super('redeal');
+		this.fromPile = wastePile;
+		this.toPile = stockPile;
+		this.cards = []; // Waste cards before the redeal, bottom to top
+		this.faceUpBefore = [];
+		this.previousStock = []; // Stock cards before the redeal (normally none)
+		this.previousStockFaceUp = [];
+		this.stockOrder = []; // Stock after the redeal, bottom to top, so redo replays the same shuffle
+		this.randomState = null; // Generator state before and after the shuffle
+		this.randomStateAfter = null;
+	}
+
+	getCards() {
+		return this.cards;
+	}
+
+	apply(game) {
+		const stockRules = game.gameRules.getStockDrawingRules();
+
+		if (!this.isRecorded) {
+			// First application: record both piles and the generator, then redeal for real
+			this.cards = [...this.fromPile.cards];
+			this.faceUpBefore = this.cards.map(card => card.isFaceUp);
+			this.previousStock = [...this.toPile.cards];
+			this.previousStockFaceUp = this.previousStock.map(card => card.isFaceUp);
+			this.randomState = game.random.getState ? game.random.getState() : null;
+
+			while (!this.fromPile.isEmpty()) {
+				const card = this.fromPile.removeTopCard();
+				card.isFaceUp = !stockRules.faceDownOnRedeal;
+				this.toPile.addCard(card);
+			}
+
+			if (stockRules.shuffleOnRedeal) {
+				this.toPile.shuffle(game.random);
+			}
+
+			this.stockOrder = [...this.toPile.cards];
+			this.randomStateAfter = game.random.getState ? game.random.getState() : null;
+			this.isRecorded = true;
+			game.redealCount++;
+			return;
+		}
+
+		// Replay: rebuild the recorded stock order instead of shuffling again
+		this.fromPile.clear();
+		this.toPile.clear();
+		this.stockOrder.forEach(card => {
+			card.isFaceUp = !stockRules.faceDownOnRedeal;
+			this.toPile.addCard(card);
+		});
+		this.restoreRandomState(game, this.randomStateAfter);
+		game.redealCount++;
+	}
+
+	revert(game) {
+		this.toPile.clear();
+		this.previousStock.forEach((card, i) => {
+			card.isFaceUp = this.previousStockFaceUp[i];
+			this.toPile.addCard(card);
+		});
+
+		this.fromPile.clear();
+		this.cards.forEach((card, i) => {
+			card.isFaceUp = this.faceUpBefore[i];
+			this.fromPile.addCard(card);
+		});
+
+		// Rewind the generator so redealing again gives the same shuffle
+		this.restoreRandomState(game, this.randomState);
+		game.redealCount--;
+	}
+
+	// Helper: put the game's generator back to a recorded state
+	restoreRandomState(game, state) {
+		if (state !== null && game.random.setState) {
+			game.random.setState(state);
+		}
+	}
+
+	describe() {
+		return `Redeal ${this.cards.length} cards to stock`;
+	}
+
+	serialize(cardIds) {
+		return {
+			...super.serialize(cardIds),
+			fromPile: Move.pileRef(this.fromPile),
+			toPile: Move.pileRef(this.toPile),
+			cards: this.cards.map(card => cardIds.get(card)),
+			faceUpBefore: [...this.faceUpBefore],
+			previousStock: this.previousStock.map(card => cardIds.get(card)),
+			previousStockFaceUp: [...this.previousStockFaceUp],
+			stockOrder: this.stockOrder.map(card => cardIds.get(card)),
+			randomState: this.randomState,
+			randomStateAfter: this.randomStateAfter
+		};
+	}
+}
@@ -0,0 +1,32 @@
+import { Move } from './Move.js';
+
+// A variant-specific action, carried out by GameRules.executeSpecialAction
+// The rules return whatever they need to undo it; it must be plain JSON so it can be saved
+export class SpecialActionMove extends Move {
+	constructor(action) {
+		super('special');
+		this.action = action;
+		this.result = null;
+	}
+
+	apply(game) {
+		this.result = game.gameRules.executeSpecialAction(this.action, game) ?? null;
+		this.isRecorded = true;
+	}
+
+	revert(game) {
+		game.gameRules.revertSpecialAction(this.action, game, this.result);
+	}
+
+	describe() {
+		return this.action.name || this.action.type || 'Special action';
+	}
+
+	serialize(cardIds) {
+		return {
+			...super.serialize(cardIds),
+			action: this.action,
+			result: this.result
+		};
+	}
+}
@@ -0,0 +1,21 @@
+import { Move } from './Move.js';
+import { CardMove } from './CardMove.js';
+
+// Move a run of cards together, bottom card first
+export class StackMove extends CardMove {
+	constructor(cards, fromPile, toPile) {
+		super(null, fromPile, toPile, 'stack');
+		this.cards = [...cards];
+	}
+
+	describe() {
+		return `${this.card.getShortDisplay()} (+${this.cards.length - 1} more) → ${this.toPile.type} ${this.toPile.index}`;
+	}
+
+	serialize(cardIds) {
+		const data = super.serialize(cardIds);
+		delete data.card;
+		data.cards = this.cards.map(card => cardIds.get(card));
+		return data;
+	}
+}
@@ -0,0 +1,69 @@
+import { Move } from './Move.js';
+
+// Draw a batch of cards from the stock to the waste (e.g. one card in Klondike, three in Sawayama)
+export class StockDrawMove extends Move {
+	constructor(stockPile, wastePile, count) {
+		super('draw');
+		this.fromPile = stockPile;
+		this.toPile = wastePile;
+		this.count = count;
+		this.cards = []; // Drawn cards, in draw order
+		this.faceUpBefore = []; // Face-up state of each drawn card while in the stock
+	}
+
+	getCards() {
+		return this.cards;
+	}
+
+	apply(game) {
+		const stockRules = game.gameRules.getStockDrawingRules();
+
+		if (!this.isRecorded) {
+			// First application: take whatever is on top of the stock
+			const drawCount = Math.min(this.count, this.fromPile.cards.length);
+			for (let i = 0; i < drawCount; i++) {
+				const card = this.fromPile.getTopCard();
+				this.cards.push(card);
+				this.faceUpBefore.push(card.isFaceUp);
+				this.drawCard(card, stockRules);
+			}
+			this.isRecorded = true;
+			return;
+		}
+
+		// Replay: draw exactly the recorded cards again
+		this.cards.forEach(card => this.drawCard(card, stockRules));
+	}
+
+	// Move one card from the top of the stock to the waste
+	drawCard(card, stockRules) {
+		Move.takeCards(this.fromPile, [card]);
+		card.isFaceUp = stockRules.faceUpOnDraw;
+		this.toPile.addCard(card);
+	}
+
+	revert(game) {
+		// Put the cards back in reverse draw order, with their original face state
+		for (let i = this.cards.length - 1; i >= 0; i--) {
+			const card = this.cards[i];
+			Move.takeCards(this.toPile, [card]);
+			card.isFaceUp = this.faceUpBefore[i];
+			this.fromPile.addCard(card);
+		}
+	}
+
+	describe() {
+		return `Draw ${this.cards.length} from stock`;
+	}
+
+	serialize(cardIds) {
+		return {
+			...super.serialize(cardIds),
+			fromPile: Move.pileRef(this.fromPile),
+			toPile: Move.pileRef(this.toPile),
+			count: this.count,
+			cards: this.cards.map(card => cardIds.get(card)),
+			faceUpBefore: [...this.faceUpBefore]
+		};
+	}
+}
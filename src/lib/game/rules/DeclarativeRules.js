@@ -0,0 +1,382 @@
+import { GameRules } from '../core/GameRules.js';
+import { rejectMove } from '../core/MoveValidation.js';
+
+// Pile types a definition can lay out, in the order they are dealt by default
+const PILE_TYPES = ['tableau', 'foundation', 'freecell', 'stock', 'waste'];
+
+// Named suit predicates for stacking a card on the card below it
+const SUIT_PREDICATES = {
+	alternateColor: (card, targetCard) => card.getSuitColor() !== targetCard.getSuitColor(),
+	sameColor: (card, targetCard) => card.getSuitColor() === targetCard.getSuitColor(),
+	sameSuit: (card, targetCard) => card.suit === targetCard.suit,
+	anySuit: () => true
+};
+
+// How each stacking rule reads in a refused-move message
+const SUIT_DESCRIPTIONS = {
+	alternateColor: 'in alternating colors',
+	sameColor: 'in the same color',
+	sameSuit: 'in suit',
+	anySuit: 'regardless of suit'
+};
+const RANK_DESCRIPTIONS = { up: 'up', down: 'down', either: 'up or down' };
+const RANK_NAMES = { 1: 'Aces', 11: 'Jacks', 12: 'Queens', 13: 'Kings' };
+const PILE_NAMES = { freecell: 'free cell' };
+
+// Rules built from a JSON document instead of a subclass
+//
+// {
+//   "id": "bakers-game", "name": "Baker's Game", "description": "...", "rulesText": "...",
+//   "piles": { "tableau": 8, "foundation": 4, "freecell": 4 },
+//   "deal": { "tableau": { "cardsPerPile": [7, 7, 7, 7, 6, 6, 6, 6], "faceUp": "all" } },
+//   "build": {
+//     "tableau": { "stacking": { "suit": "sameSuit", "rank": "down" }, "empty": "any" },
+//     "foundation": { "stacking": { "suit": "sameSuit", "rank": "up" }, "empty": { "ranks": [1] } },
+//     "freecell": { "maxCards": 1, "empty": "any" }
+//   },
+//   "stackMoves": { "limit": "freeCells" }
+// }
+//
+// stacking.suit: alternateColor, sameColor, sameSuit or anySuit
+// stacking.rank: up, down or either; stacking.wrap lets King and Ace follow each other
+// empty: "any", "none" or { "ranks": [...] } for what an empty pile of that type accepts
+// stackMoves.limit: "unlimited", "none", "freeCells" (FreeCell supermove formula, played as single-card moves) or a number
+// deal: see getDealPattern() for "type", "order", "preDeal" and face-up masks
+// Optional "stock", "flipping", "scoring", "win", "blocking" and "movableFrom" sections override the defaults
+// autoMove: "none" (default), "safe" or "all" cards played to the foundations automatically (see getAutoMovePolicy)
+export class DeclarativeRules extends GameRules {
+	constructor(deckConfig, definition, options = {}) {
+		super(deckConfig, options);
+		DeclarativeRules.validateDefinition(definition);
+
+		this.definition = definition;
+		this.name = definition.name || definition.id;
+		this.variantId = definition.id;
+		this.description = definition.description || '';
+	}
+
+	// Check that a definition has everything the rules need, naming the first problem found
+	static validateDefinition(definition) {
+		if (!definition || typeof definition !== 'object') {
+			throw new Error('Variant definition must be an object');
+		}
+		if (!definition.id) {
+			throw new Error('Variant definition needs an id');
+		}
+		if (!definition.piles || !(definition.piles.tableau > 0) || !(definition.piles.foundation > 0)) {
+			throw new Error(`Variant '${definition.id}' needs at least one tableau and one foundation pile`);
+		}
+
+		Object.entries(definition.build || {}).forEach(([pileType, build]) => {
+			const stacking = build.stacking;
+			if (stacking && stacking.suit && !SUIT_PREDICATES[stacking.suit]) {
+				throw new Error(`Variant '${definition.id}': unknown suit rule '${stacking.suit}' for ${pileType}`);
+			}
+			if (stacking && stacking.rank && !['up', 'down', 'either'].includes(stacking.rank)) {
+				throw new Error(`Variant '${definition.id}': unknown rank rule '${stacking.rank}' for ${pileType}`);
+			}
+		});
+
+		if (definition.autoMove && !['none', 'safe', 'all'].includes(definition.autoMove)) {
+			throw new Error(`Variant '${definition.id}': unknown autoMove mode '${definition.autoMove}'`);
+		}
+	}
+
+	// Create a rules class bound to one definition, for use as a registry rulesClass
+	static forDefinition(definition) {
+		DeclarativeRules.validateDefinition(definition);
+		return class extends DeclarativeRules {
+			constructor(deckConfig, options = {}) {
+				super(deckConfig, definition, options);
+			}
+		};
+	}
+
+	// Number of piles of a type in the definition
+	getPileCount(pileType) {
+		return this.definition.piles[pileType] || 0;
+	}
+
+	getTableauPileCount() {
+		return this.getPileCount('tableau');
+	}
+
+	getFoundationPileCount() {
+		return this.getPileCount('foundation');
+	}
+
+	getFreeCellCount() {
+		return this.getPileCount('freecell');
+	}
+
+	// Build rules for a pile type, e.g. { stacking, empty, maxCards }
+	getBuildRules(pileType) {
+		return (this.definition.build && this.definition.build[pileType]) || {};
+	}
+
+
+	// Configure game board and deal cards
+	getPileConfiguration() {
+		const config = {};
+		PILE_TYPES.forEach(pileType => {
+			const count = this.getPileCount(pileType);
+			config[pileType] = { count, create: count > 0 };
+		});
+		return config;
+	}
+
+	// Deal piles in order; a pile type with "cardsPerPile": "rest" gets whatever is left
+	// "type": "roundRobin" deals across all piles a row at a time; per pile type, "order": "row" does so for that type only
+	// "preDeal": [{ "ranks": [1], "suits": [...], "to": "foundation" }] takes matching cards out before dealing
+	getDealPattern() {
+		const deal = this.definition.deal || {};
+		const order = deal.order || PILE_TYPES;
+		const pattern = {
+			type: deal.type || 'sequential',
+			piles: order,
+			faceUp: order.map(pileType => (deal[pileType] || {}).faceUp === 'all'),
+			distribution: 'custom',
+			preDeal: (deal.preDeal || []).map(rule => ({
+				when: card => (!rule.ranks || rule.ranks.includes(card.rank)) && (!rule.suits || rule.suits.includes(card.suit)),
+				to: rule.to || 'foundation',
+				pileIndex: rule.pileIndex,
+				faceUp: rule.faceUp ?? true
+			}))
+		};
+
+		let remaining = this.deckConfig.deckSize;
+		order.forEach(pileType => {
+			const piles = this.getPileCount(pileType);
+			const pileDeal = deal[pileType] || {};
+
+			let cardsPerPile;
+			if (pileDeal.cardsPerPile === 'rest') {
+				cardsPerPile = Array.from({ length: piles }, (_, i) => i === 0 ? remaining : 0);
+			} else {
+				cardsPerPile = Array.from({ length: piles }, (_, i) => (pileDeal.cardsPerPile || [])[i] || 0);
+			}
+			remaining -= cardsPerPile.reduce((sum, count) => sum + count, 0);
+
+			// faceUp: "all", "none", "top" (only the last card of each pile), { "top": n } or per-pile arrays
+			const faceUp = pileDeal.faceUp || 'none';
+			pattern[pileType] = {
+				piles,
+				cardsPerPile,
+				order: pileDeal.order || 'pile',
+				faceUp: cardsPerPile.map(() => faceUp !== 'none'),
+				...(faceUp === 'top' ? { faceUpMask: { top: 1 } } : {}),
+				...(typeof faceUp === 'object' ? { faceUpMask: faceUp } : {})
+			};
+		});
+
+		return pattern;
+	}
+
+	getStockDrawingRules() {
+		return { ...super.getStockDrawingRules(), ...(this.definition.stock || {}) };
+	}
+
+	getCardFlippingRules() {
+		return { ...super.getCardFlippingRules(), ...(this.definition.flipping || {}) };
+	}
+
+	getAutoMovePolicy() {
+		return { ...super.getAutoMovePolicy(), mode: this.definition.autoMove || 'none' };
+	}
+
+	// Same-suit tableaus never need a card whose suit is built past it; alternating colors use the usual safe rule
+	isSafeAutoMove(card, targetPile, gameState) {
+		const stacking = this.getBuildRules('tableau').stacking || {};
+		if (stacking.suit === 'sameSuit' && stacking.rank === 'down') return true;
+		if (stacking.suit === 'alternateColor' && stacking.rank === 'down') return this.isSafeForAlternatingColors(card, gameState);
+		return false;
+	}
+
+
+	// Check a card against a named stacking predicate, e.g. { suit: 'alternateColor', rank: 'down' }
+	matchesStacking(card, targetCard, stacking) {
+		if (!stacking) return false;
+
+		const suitMatches = SUIT_PREDICATES[stacking.suit || 'anySuit'](card, targetCard);
+		if (!suitMatches) return false;
+
+		const ranks = this.deckConfig.ranks;
+		const lowest = Math.min(...ranks);
+		const highest = Math.max(...ranks);
+		const isUp = card.rank === targetCard.rank + 1 || (stacking.wrap && targetCard.rank === highest && card.rank === lowest);
+		const isDown = card.rank === targetCard.rank - 1 || (stacking.wrap && targetCard.rank === lowest && card.rank === highest);
+
+		switch (stacking.rank || 'down') {
+			case 'up':
+				return isUp;
+			case 'down':
+				return isDown;
+			case 'either':
+				return isUp || isDown;
+			default:
+				return false;
+		}
+	}
+
+	// Check what an empty pile of this type accepts
+	acceptsOnEmpty(card, build) {
+		const empty = build.empty ?? 'any';
+		if (empty === 'any') return true;
+		if (empty === 'none') return false;
+		return Array.isArray(empty.ranks) && empty.ranks.includes(card.rank);
+	}
+
+	// Check if a card can go onto a pile under that pile type's build rules
+	isValidBuildMove(card, targetPile) {
+		const build = this.getBuildRules(targetPile.type);
+
+		if (build.maxCards && targetPile.cards.length >= build.maxCards) {
+			return false;
+		}
+
+		const topCard = targetPile.getTopCard();
+		if (!topCard) {
+			return this.acceptsOnEmpty(card, build);
+		}
+
+		return topCard.isFaceUp && this.matchesStacking(card, topCard, build.stacking);
+	}
+
+	// Tableau stacking, used for runs and card notation
+	canStackCards(card, targetCard) {
+		if (!targetCard || !targetCard.isFaceUp) return false;
+		return this.matchesStacking(card, targetCard, this.getBuildRules('tableau').stacking);
+	}
+
+	// Describe the build rule a refused move breaks, from the definition
+	explainInvalidMove(card, targetPile, gameState) {
+		if (!this.definition.build || !this.definition.build[targetPile.type]) {
+			return rejectMove('invalidTarget', `Cards can't be placed on the ${targetPile.type}`);
+		}
+
+		const build = this.getBuildRules(targetPile.type);
+		const topCard = targetPile.getTopCard();
+		const pileName = PILE_NAMES[targetPile.type] || targetPile.type;
+
+		if (build.maxCards && targetPile.cards.length >= build.maxCards) {
+			return rejectMove('pileFull', `That ${pileName} is full`);
+		}
+
+		if (!topCard) {
+			const empty = build.empty ?? 'any';
+			if (empty === 'none') {
+				return rejectMove('emptyPileClosed', `Cards can't be placed on an empty ${pileName} pile`);
+			}
+			const ranks = (empty.ranks || []).map(rank => RANK_NAMES[rank] || `${rank}s`).join(' or ');
+			return rejectMove('emptyPileRanks', `Only ${ranks} may be placed on an empty ${pileName} pile`);
+		}
+
+		if (!build.stacking || !topCard.isFaceUp) {
+			return rejectMove('invalidBuild', `Cards can't be built on that ${pileName} pile`);
+		}
+
+		const stacking = build.stacking;
+		return rejectMove('invalidBuild', `${card.getShortDisplay()} can't go on ${topCard.getShortDisplay()}: the ${pileName} builds ${RANK_DESCRIPTIONS[stacking.rank || 'down']} ${SUIT_DESCRIPTIONS[stacking.suit || 'anySuit']}`);
+	}
+
+	isValidFoundationMove(card, targetPile, gameState) {
+		return targetPile.type === 'foundation' && this.isValidBuildMove(card, targetPile);
+	}
+
+	isValidTableauMove(card, targetPile, gameState) {
+		return targetPile.type === 'tableau' && this.isValidBuildMove(card, targetPile);
+	}
+
+	isValidFreeCellMove(card, targetPile, gameState) {
+		return targetPile.type === 'freecell' && this.isValidBuildMove(card, targetPile);
+	}
+
+	isValidMove(card, targetPile, gameState) {
+		console.log(`DeclarativeRules(${this.variantId}).isValidMove called with:`, {
+			card: card ? card.getShortDisplay() : 'null',
+			targetPileType: targetPile.type,
+			targetPileIndex: targetPile.index
+		});
+
+		// Only pile types with build rules can be played to
+		if (!this.definition.build || !this.definition.build[targetPile.type]) {
+			return false;
+		}
+		return this.isValidBuildMove(card, targetPile);
+	}
+
+	getValidTargets(card, gameState) {
+		return gameState.piles.filter(pile => this.isValidMove(card, pile, gameState));
+	}
+
+	// Cards can be picked up from a pile type unless "movableFrom" says otherwise;
+	// below the top card only face-up tableau runs can move
+	canCardBeMovedFromPile(card, sourcePile, gameState) {
+		const movableFrom = this.definition.movableFrom || {};
+		if (movableFrom[sourcePile.type] === false) {
+			return false;
+		}
+
+		if (sourcePile.type === 'tableau') {
+			return card.isFaceUp;
+		}
+		return sourcePile.getTopCard() === card;
+	}
+
+	// Number of cards that may move as one stack under stackMoves.limit
+	getMaxMoveableCards(gameState, targetPile = null) {
+		const limit = (this.definition.stackMoves || {}).limit ?? 'unlimited';
+
+		if (limit === 'none') return 1;
+		if (typeof limit === 'number') return limit;
+		if (limit === 'freeCells') {
+			return this.getSupermoveCapacity(gameState, targetPile);
+		}
+		return Infinity;
+	}
+
+	// Under the freeCells limit a stack move is played as single-card moves through the free cells and empty columns
+	getStackMoveSteps(cards, fromPile, toPile, gameState) {
+		const limit = (this.definition.stackMoves || {}).limit ?? 'unlimited';
+		return limit === 'freeCells' ? this.planSupermove(cards, fromPile, toPile, gameState) : null;
+	}
+
+	// A stack must be a tableau run, fit the size limit and be accepted by the target pile
+	canMoveStack(cards, targetPile, gameState) {
+		if (cards.length === 0) return false;
+		if (targetPile.type !== 'tableau' && cards.length > 1) return false;
+		if (!this.isValidSequence(cards)) return false;
+
+		return cards.length <= this.getMaxMoveableCards(gameState, targetPile) && this.isValidMove(cards[0], targetPile, gameState);
+	}
+
+
+	getWinConditions() {
+		return this.definition.win || [
+			{
+				type: 'allCardsInFoundation',
+				description: 'All cards must be moved to the foundations'
+			}
+		];
+	}
+
+	getBlockingConditions() {
+		return this.definition.blocking || {};
+	}
+
+	// "scoring": { "foundation": 10, "tableau": 1 } in points per move to that pile type
+	getScoringRules() {
+		const scoring = this.definition.scoring;
+		if (!scoring) return super.getScoringRules();
+
+		const rules = {};
+		PILE_TYPES.forEach(pileType => {
+			rules[pileType] = { points: scoring[pileType] || 0, bonus: 0 };
+		});
+		return rules;
+	}
+
+	getRulesDescription() {
+		return this.definition.rulesText || this.description;
+	}
+}
@@ -1,8 +1,11 @@
 import { GameRules } from '../core/GameRules.js';
+import { rejectMove } from '../core/MoveValidation.js';
 
 export class FortunesFoundationRules extends GameRules {
-	constructor(deckConfig) {
-		super(deckConfig);
+	constructor(deckConfig, options = {}) {
+		super(deckConfig, options);
+		this.name = "Fortune's Foundation";
+		this.variantId = 'fortunes-foundation';
 	}
 
 	// Configure blocking conditions for Fortune's Foundation
@@ -13,7 +16,7 @@ export class FortunesFoundationRules extends GameRules {
 				{
 					type: 'custom',
 					name: 'minorArcanaFreeCellBlocking',
-					description: 'Minor Arcana foundation moves (piles 0-3) are blocked when free cell is not empty'
+					description: 'Minor Arcana foundations are blocked while the free cell is occupied'
 				}
 			]
 		};
@@ -61,30 +64,35 @@ export class FortunesFoundationRules extends GameRules {
 	
 	// Override initial deal pattern with Fortune's Foundation rules
 	getDealPattern() {
+		const suitMapping = {
+			'wands': 0,
+			'cups': 1,
+			'swords': 2,
+			'pentacles': 3
+		};
+		
 		return {
 			type: 'sequential',
 			piles: ['tableau', 'foundation', 'freecell'],
 			faceUp: [true, true, true],
 			distribution: 'custom',
+			// The Minor Arcana aces start on their foundations, leaving exactly 70 cards for the tableau
+			preDeal: [
+				{
+					when: card => card.isMinorArcana() && card.rank === 1,
+					to: 'foundation',
+					pileIndex: card => suitMapping[card.suit],
+					faceUp: true
+				}
+			],
 			tableau: {
 				piles: 11,
 				cardsPerPile: [7, 7, 7, 7, 7, 0, 7, 7, 7, 7, 7], // Pile 5 (index 5) is empty
-				faceUp: [true, true, true, true, true, true, true, true, true, true, true],
-				aceRedirection: {
-					enabled: true,
-					condition: 'isMinorArcana() && rank === 1',
-					targetPileType: 'foundation',
-					suitMapping: {
-						'wands': 0,
-						'cups': 1, 
-						'swords': 2,
-						'pentacles': 3
-					}
-				}
+				faceUp: [true, true, true, true, true, true, true, true, true, true, true]
 			},
 			foundation: {
 				piles: 6, // 4 Minor Arcana + 2 Major Arcana
-				cardsPerPile: [0, 0, 0, 0, 0, 0], // Will be populated by ace redirection
+				cardsPerPile: [0, 0, 0, 0, 0, 0], // Aces are placed by the pre-deal
 				faceUp: [true, true, true, true, true, true]
 			},
 			freecell: {
@@ -147,6 +155,17 @@ export class FortunesFoundationRules extends GameRules {
 		return validTargets;
 	}
 	
+	// Tableau stacking: same suit and consecutive rank, ascending or descending
+	canStackCards(card, targetCard) {
+		if (!targetCard) return false;
+		
+		// Must be same suit and consecutive rank
+		if (card.suit !== targetCard.suit) return false;
+		
+		const rankDiff = Math.abs(card.rank - targetCard.rank);
+		return rankDiff === 1; // Consecutive (ascending or descending)
+	}
+
 	// Override tableau move validation for ascending/descending same suit
 	isValidTableauMove(card, targetPile, gameState) {
 		if (targetPile.type !== 'tableau') return false;
@@ -154,11 +173,7 @@ export class FortunesFoundationRules extends GameRules {
 		const topCard = targetPile.getTopCard();
 		if (!topCard) return true; // Empty tableau pile
 		
-		// Must be same suit and consecutive rank
-		if (card.suit !== topCard.suit) return false;
-		
-		const rankDiff = Math.abs(card.rank - topCard.rank);
-		return rankDiff === 1; // Consecutive (ascending or descending)
+		return this.canStackCards(card, topCard);
 	}
 
 	// Override foundation move validation using the generalized blocking system
@@ -245,10 +260,40 @@ export class FortunesFoundationRules extends GameRules {
 		return result;
 	}
 	
+	// Name the Fortune's Foundation rule a refused move breaks
+	explainInvalidMove(card, targetPile, gameState) {
+		const topCard = targetPile.getTopCard();
+
+		if (targetPile.type === 'foundation' && targetPile.index < 4) {
+			if (!card.isMinorArcana()) {
+				return rejectMove('minorArcanaOnly', 'Only Minor Arcana cards go on this foundation');
+			}
+			if (!topCard) {
+				return rejectMove('foundationStartsWithAce', 'Only Aces can start a Minor Arcana foundation');
+			}
+			return rejectMove('foundationBuildsUpInSuit', `${card.getShortDisplay()} can't go on ${topCard.getShortDisplay()}: foundations build up in suit`);
+		}
+
+		if (targetPile.type === 'foundation') {
+			if (!card.isMajorArcana()) {
+				return rejectMove('majorArcanaOnly', 'Only Major Arcana cards go on this foundation');
+			}
+			return targetPile.index === 4
+				? rejectMove('majorArcanaAscending', 'This foundation builds up from 0')
+				: rejectMove('majorArcanaDescending', 'This foundation builds down from 21');
+		}
+
+		if (targetPile.type === 'tableau' && topCard) {
+			return rejectMove('tableauBuildsInSuit', `${card.getShortDisplay()} can't go on ${topCard.getShortDisplay()}: the tableau builds up or down in suit`);
+		}
+
+		return super.explainInvalidMove(card, targetPile, gameState);
+	}
+
 	// Override stack movement rules for Fortune's Foundation
 	canMoveStack(cards, targetPile, gameState) {
-		// Fortune's Foundation: If the bottom card can be placed, the entire stack can move
-		if (cards.length === 0) return false;
+		// Fortune's Foundation: a same-suit run can move if its bottom card can be placed
+		if (!this.isValidSequence(cards)) return false;
 		
 		const bottomCard = cards[0];
 		return this.isValidTableauMove(bottomCard, targetPile, gameState);
@@ -256,42 +301,10 @@ export class FortunesFoundationRules extends GameRules {
 
 	// Override card notation config for tarot
 	getCardNotationConfig() {
-		const config = {
-			showStackedIndicator: true,    // Show S/T for stacked vs top cards
-			showArcanaInfo: true,          // Show Major Arcana values
-			position: 'top-right',
-			// Custom notation function for Fortune's Foundation
-			getNotationLabel: function(card, sourcePile, cardIndex, gameState) {
-				if (!card) return '';
-				
-				const isTopCard = cardIndex === sourcePile.cards.length - 1;
-				
-				// For all cards (Major and Minor Arcana), use consistent T/S/U notation
-				if (isTopCard) {
-					return 'T'; // Top card is always moveable
-				} else {
-					// Check if this card is part of a valid moveable sequence
-					// In Fortune's Foundation, cards can only be moved as a stack if they form a valid sequence
-					// (same suit, consecutive ranks in either direction)
-					
-					// Check if this card and all cards above it form a valid sequence
-					for (let i = cardIndex; i < sourcePile.cards.length - 1; i++) {
-						const currentCard = sourcePile.cards[i];
-						const nextCard = sourcePile.cards[i + 1];
-						
-						// Cards must be same suit and consecutive rank
-						if (currentCard.suit !== nextCard.suit) return 'U';
-						
-						const rankDiff = Math.abs(currentCard.rank - nextCard.rank);
-						if (rankDiff !== 1) return 'U';
-					}
-					
-					return 'S'; // Stacked - part of a valid sequence
-				}
-			}
+		return {
+			...super.getCardNotationConfig(),
+			showArcanaInfo: true           // Show Major Arcana values
 		};
-		
-		return config;
 	}
 	
 	// Get maximum possible score for this variant
@@ -322,6 +335,12 @@ export class FortunesFoundationRules extends GameRules {
 		];
 	}
 	
+	// Every card the foundations will take goes up by itself, including the next arcana at either end
+	// Tableau runs build in suit, so a card is never needed again once the card below it is home
+	getAutoMovePolicy() {
+		return { ...super.getAutoMovePolicy(), mode: 'all' };
+	}
+
 	// Override stock drawing rules (no stock in Fortune's Foundation)
 	getStockDrawingRules() {
 		return {
@@ -1,10 +1,31 @@
 import { GameRules } from '../core/GameRules.js';
+import { rejectMove } from '../core/MoveValidation.js';
+import { arrangeMicrosoftDeal, MIN_DEAL_NUMBER, MAX_DEAL_NUMBER } from '../deals/MicrosoftFreeCellDeal.js';
 
 export class FreeCellRules extends GameRules {
-	constructor() {
-		super();
+	constructor(deckConfig, options = {}) {
+		super(deckConfig, options);
 		this.name = 'FreeCell';
+		this.variantId = 'freecell';
 		this.description = 'Strategic solitaire with free cells for temporary card storage';
+		
+		// Player options (see getOptionsSchema)
+		this.freeCellCount = this.options.freeCellCount;
+	}
+
+	// Tunable FreeCell options
+	getOptionsSchema() {
+		return [
+			{
+				key: 'freeCellCount',
+				label: 'Free cells',
+				type: 'number',
+				default: 4,
+				min: 1,
+				max: 6,
+				description: 'Fewer free cells make the game harder'
+			}
+		];
 	}
 
 	// Configure game board and deal cards
@@ -15,7 +36,7 @@ export class FreeCellRules extends GameRules {
 		return 4;
 	}
 	getFreeCellCount() {
-		return 4;
+		return this.freeCellCount;
 	}
 
 	// Override pile configuration for FreeCell
@@ -72,13 +93,27 @@ export class FreeCellRules extends GameRules {
 				faceUp: []
 			},
 			freecell: {
-				piles: 4,
-				cardsPerPile: [0, 0, 0, 0], // No cards initially
-				faceUp: [false, false, false, false]
+				piles: this.getFreeCellCount(),
+				cardsPerPile: new Array(this.getFreeCellCount()).fill(0), // No cards initially
+				faceUp: new Array(this.getFreeCellCount()).fill(false)
 			}
 		};
 	}
 
+	// FreeCell supports the classic Microsoft deal numbers
+	supportsNumberedDeals() {
+		return true;
+	}
+
+	getNumberedDealRange() {
+		return { min: MIN_DEAL_NUMBER, max: MAX_DEAL_NUMBER };
+	}
+
+	// Arrange the deck so the sequential deal reproduces Microsoft deal #dealNumber
+	createNumberedDeal(cards, dealNumber) {
+		return arrangeMicrosoftDeal(cards, dealNumber, this.getTableauPileCount());
+	}
+
 	// Override stock drawing rules for FreeCell
 	getStockDrawingRules() {
 		return {
@@ -119,17 +154,20 @@ export class FreeCellRules extends GameRules {
 		return card.suit === topCard.suit && card.rank === topCard.rank + 1;
 	}
 
+	// Check if cards can be stacked on tableau (descending, alternating colors)
+	canStackCards(card, targetCard) {
+		if (!targetCard || !targetCard.isFaceUp) return false;
+		// Colors must alternate (red/black)
+		return card.getSuitColor() !== targetCard.getSuitColor() && card.rank === targetCard.rank - 1;
+	}
+
 	isValidTableauMove(card, targetPile, gameState) {
 		// Tableau piles build down by alternating colors
 		if (targetPile.cards.length === 0) {
 			// Empty tableau pile - any card can be placed
 			return true;
 		}
-		const topCard = targetPile.cards[targetPile.cards.length - 1];
-		const cardSuitColor = card.getSuitColor();
-		const topCardSuitColor = topCard.getSuitColor();
-		// Colors must alternate (red/black)
-		return cardSuitColor !== topCardSuitColor && card.rank === topCard.rank - 1;
+		return this.canStackCards(card, targetPile.getTopCard());
 	}
 
 	isValidFreeCellMove(card, targetPile, gameState) {
@@ -217,78 +255,47 @@ export class FreeCellRules extends GameRules {
 	 * Calculate the maximum number of cards that can be moved at once
 	 * In FreeCell, this depends on the number of empty free cells and tableau piles
 	 */
-	getMaxMoveableCards(gameState) {
-		const emptyFreeCells = gameState.piles.filter(p => p.type === 'freecell' && p.cards.length === 0).length;
-		const emptyTableauPiles = gameState.piles.filter(p => p.type === 'tableau' && p.cards.length === 0).length;
-		
-		// Formula: (empty free cells + 1) * 2^(empty tableau piles)
-		return (emptyFreeCells + 1) * Math.pow(2, emptyTableauPiles);
+	getMaxMoveableCards(gameState, targetPile = null) {
+		// Formula: (empty free cells + 1) * 2^(empty tableau piles), not counting an empty target
+		return this.getSupermoveCapacity(gameState, targetPile);
 	}
 
-	// Check if a stack of cards can be moved together
-	canMoveStack(cards, targetPile, gameState) {
-		// First check if the target pile can accept the bottom card
-		const bottomCard = cards[0];
-		if (!this.isValidTableauMove(bottomCard, targetPile, gameState)) {
-			return false;
-		}
-		// Then check if we have enough free cells/empty tableau piles to move the stack
-		const maxMoveable = this.getMaxMoveableCards(gameState);
-		return cards.length <= maxMoveable;
+	// A supermove is really a series of single-card moves through the free cells and empty columns
+	getStackMoveSteps(cards, fromPile, toPile, gameState) {
+		return this.planSupermove(cards, fromPile, toPile, gameState);
 	}
 
+	// Name the FreeCell rule a refused move breaks
+	explainInvalidMove(card, targetPile, gameState) {
+		const topCard = targetPile.getTopCard();
 
-	// Simple solvability check for FreeCell
-	isPositionWinnable(gameState) {
-		// Basic check: if any card is completely blocked, position is unwinnable
-		const tableauPiles = gameState.piles.filter(p => p.type === 'tableau');
-		
-		for (const pile of tableauPiles) {
-			if (pile.cards.length === 0) continue;
-			
-			// Check if any card is blocked by cards above it
-			for (let i = 0; i < pile.cards.length - 1; i++) {
-				const card = pile.cards[i];
-				// If this card can't be moved anywhere, position is unwinnable
-				if (!this.canCardBeMoved(card, gameState)) {
-					return false;
-				}
+		if (targetPile.type === 'foundation') {
+			if (!topCard) {
+				return rejectMove('foundationStartsWithAce', 'Only Aces can start a foundation');
 			}
+			return rejectMove('foundationBuildsUpInSuit', `${card.getShortDisplay()} can't go on ${topCard.getShortDisplay()}: foundations build up in suit`);
 		}
-		
-		return true; // Position appears winnable
-	}
-	
-	// Helper: get the color of a card (red or black)
-	getCardColor(card) {
-		const redSuits = ['hearts', 'diamonds'];
-		return redSuits.includes(card.suit) ? 'red' : 'black';
-	}
 
-	// Helper: check if a card can be moved anywhere
-	canCardBeMoved(card, gameState) {
-		// Check tableau piles
-		const tableauPiles = gameState.piles.filter(p => p.type === 'tableau');
-		for (const pile of tableauPiles) {
-			if (this.isValidTableauMove(card, pile, gameState)) {
-				return true;
-			}
+		if (targetPile.type === 'tableau' && topCard) {
+			return rejectMove('tableauBuildsDownAlternating', `${card.getShortDisplay()} can't go on ${topCard.getShortDisplay()}: the tableau builds down in alternating colors`);
 		}
-		// Check foundation piles
-		const foundationPiles = gameState.piles.filter(p => p.type === 'foundation');
-		for (const pile of foundationPiles) {
-			if (this.isValidFoundationMove(card, pile, gameState)) {
-				return true;
-			}
-		}
-		// Check free cells
-		const freeCellPiles = gameState.piles.filter(p => p.type === 'freecell');
-		for (const pile of freeCellPiles) {
-			if (pile.isEmpty()) {
-				return true;
-			}
+
+		return super.explainInvalidMove(card, targetPile, gameState);
+	}
+
+	// Check if a stack of cards can be moved together
+	canMoveStack(cards, targetPile, gameState) {
+		// The cards must form a valid run
+		if (!this.isValidSequence(cards)) return false;
+
+		// Then check if the target pile can accept the bottom card
+		const bottomCard = cards[0];
+		if (!this.isValidTableauMove(bottomCard, targetPile, gameState)) {
+			return false;
 		}
-		return false;
+		// Then check if we have enough free cells/empty tableau piles to move the stack
+		const maxMoveable = this.getMaxMoveableCards(gameState, targetPile);
+		return cards.length <= maxMoveable;
 	}
 
 	// Override scoring rules for FreeCell
@@ -327,6 +334,15 @@ export class FreeCellRules extends GameRules {
 		return topCard === card;
 	}
 
+	// Cards go up by themselves once no tableau card could still need them
+	getAutoMovePolicy() {
+		return { ...super.getAutoMovePolicy(), mode: 'safe' };
+	}
+
+	isSafeAutoMove(card, targetPile, gameState) {
+		return this.isSafeForAlternatingColors(card, gameState);
+	}
+
 	// Get maximum possible score for this game variant (prevents infinite loops)
 	getMaximumScore() {
 		// In FreeCell: 52 cards × 10 points each for foundation = 520 points
@@ -334,40 +350,4 @@ export class FreeCellRules extends GameRules {
 		// Conservative estimate: 1000 points
 		return 1000;
 	}
-
-	// Override card notation config for FreeCell
-	getCardNotationConfig() {
-		const self = this; // Capture 'this' reference
-		return {
-			showStackedIndicator: true,    // Show T/S/U for FreeCell-specific notation
-			position: 'top-right',         // Top-right corner
-			variant: 'freecell',           // Indicate this is FreeCell-specific notation
-			getNotationLabel: function(card, sourcePile, cardIndex, gameState) {
-				if (sourcePile.type !== 'tableau') {
-					// For non-tableau piles, just show T for top card
-					return cardIndex === sourcePile.cards.length - 1 ? 'T' : '';
-				}
-
-				// For tableau piles, determine if this card is accessible
-				if (cardIndex === sourcePile.cards.length - 1) {
-					return 'T'; // Top card is always accessible
-				}
-
-				// Check if this card and all cards above it form a valid stack
-				for (let i = cardIndex; i < sourcePile.cards.length - 1; i++) {
-					const currentCard = sourcePile.cards[i];
-					const nextCard = sourcePile.cards[i + 1];
-					
-					// Cards must be alternating colors and descending order
-					const currentColor = self.getCardColor(currentCard);
-					const nextColor = self.getCardColor(nextCard);
-					if (currentColor === nextColor || nextCard.rank !== currentCard.rank - 1) {
-						return 'U'; // Unaccessible - not part of a valid stack
-					}
-				}
-				
-				return 'S'; // Stacked - part of a valid stack
-			}
-		};
-	}
 }
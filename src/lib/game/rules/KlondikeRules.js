@@ -1,8 +1,57 @@
 import { GameRules } from '../core/GameRules.js';
+import { rejectMove } from '../core/MoveValidation.js';
 
 export class KlondikeRules extends GameRules {
-	constructor(deckConfig) {
-		super(deckConfig);
+	constructor(deckConfig, options = {}) {
+		super(deckConfig, options);
+		this.name = 'Klondike';
+		this.variantId = 'klondike';
+		
+		// Player options (see getOptionsSchema)
+		this.cardsPerDraw = this.options.drawCount;
+		this.maxRedeals = this.options.maxRedeals;
+		this.foundationPlayback = this.options.foundationPlayback;
+		this.thoughtful = this.options.thoughtful;
+	}
+
+	// Tunable Klondike options
+	getOptionsSchema() {
+		return [
+			{
+				key: 'drawCount',
+				label: 'Cards per draw',
+				type: 'select',
+				default: 1,
+				choices: [
+					{ value: 1, label: 'Draw 1' },
+					{ value: 3, label: 'Draw 3' }
+				]
+			},
+			{
+				key: 'maxRedeals',
+				label: 'Redeals',
+				type: 'select',
+				default: null,
+				choices: [
+					{ value: null, label: 'Unlimited' },
+					{ value: 0, label: 'None (single pass)' },
+					{ value: 1, label: 'One' },
+					{ value: 2, label: 'Two (three passes)' }
+				]
+			},
+			{
+				key: 'foundationPlayback',
+				label: 'Play cards back from foundations',
+				type: 'boolean',
+				default: false
+			},
+			{
+				key: 'thoughtful',
+				label: 'Thoughtful (deal every tableau card face up)',
+				type: 'boolean',
+				default: false
+			}
+		];
 	}
 
 	// Klondike-specific tableau pile count
@@ -52,7 +101,8 @@ export class KlondikeRules extends GameRules {
 				piles: 7,
 				cardsPerPile: [1, 2, 3, 4, 5, 6, 7],
 				faceUp: [true, true, true, true, true, true, true], // Per-pile face-up (for top card only)
-				faceUpPositions: ['top'] // Special indicator: only top card in each pile is face up
+				// Special indicator: only top card in each pile is face up (the Thoughtful deal shows them all)
+				...(this.thoughtful ? {} : { faceUpPositions: ['top'] })
 			},
 			foundation: {
 				piles: 4,
@@ -183,7 +233,7 @@ export class KlondikeRules extends GameRules {
 		gameState.piles
 			.filter(pile => pile.type === 'foundation')
 			.forEach(pile => {
-				if (this.isValidFoundationMove(card, pile, gameState)) {
+				if (this.isValidMove(card, pile, gameState)) {
 					validTargets.push(pile);
 				}
 			});
@@ -200,6 +250,33 @@ export class KlondikeRules extends GameRules {
 		return validTargets;
 	}
 
+	// Name the Klondike rule a refused move breaks
+	explainInvalidMove(card, targetPile, gameState) {
+		const topCard = targetPile.getTopCard();
+
+		if (targetPile.type === 'foundation') {
+			if (this.isOnFoundation(card, gameState)) {
+				return rejectMove('foundationPlaybackToTableau', 'Cards played back from a foundation can only go to the tableau');
+			}
+			if (!topCard) {
+				return rejectMove('foundationStartsWithAce', 'Only Aces can start a foundation');
+			}
+			return rejectMove('foundationBuildsUpInSuit', `${card.getShortDisplay()} can't go on ${topCard.getShortDisplay()}: foundations build up in suit`);
+		}
+
+		if (targetPile.type === 'tableau') {
+			if (!topCard) {
+				return rejectMove('emptyTableauKingsOnly', 'Only Kings may be placed on an empty tableau');
+			}
+			if (!topCard.isFaceUp) {
+				return rejectMove('faceDownTarget', 'Cards can\'t be placed on a face-down card');
+			}
+			return rejectMove('tableauBuildsDownAlternating', `${card.getShortDisplay()} can't go on ${topCard.getShortDisplay()}: the tableau builds down in alternating colors`);
+		}
+
+		return super.explainInvalidMove(card, targetPile, gameState);
+	}
+
 	// Get win conditions for Klondike
 	getWinConditions() {
 		return [
@@ -224,9 +301,9 @@ export class KlondikeRules extends GameRules {
 
 	// Check if a card can be moved from its current pile (prevents Foundation → Tableau in Klondike)
 	canCardBeMovedFromPile(card, sourcePile, gameState) {
-		// In Klondike, cards cannot be moved from foundation piles to tableau
+		// In Klondike, cards cannot be moved from foundation piles to tableau unless playback is turned on
 		if (sourcePile.type === 'foundation') {
-			return false;
+			return this.foundationPlayback && sourcePile.getTopCard() === card;
 		}
 		
 		// Cards can be moved from tableau if they're face up
@@ -244,23 +321,15 @@ export class KlondikeRules extends GameRules {
 		return false;
 	}
 
-	// Override card notation config for Klondike
-	getCardNotationConfig() {
-		return {
-			showStackedIndicator: true,    // Show S/T for stacked vs top cards
-			position: 'top-right'          // Top-right corner
-		};
-	}
-
-
 	// Override stock drawing rules for Klondike
 	getStockDrawingRules() {
 		return {
-			cardsPerDraw: 1, // Klondike draws 1 card at a time
+			cardsPerDraw: this.cardsPerDraw, // 1 or 3, from the drawCount option
 			redealWhenEmpty: true, // Klondike redeals waste to stock
 			shuffleOnRedeal: true, // Klondike shuffles on redeal
 			faceUpOnDraw: true, // Cards become face up when drawn
-			faceDownOnRedeal: true // Cards become face down when redealt
+			faceDownOnRedeal: true, // Cards become face down when redealt
+			maxRedeals: this.maxRedeals // null for unlimited
 		};
 	}
 
@@ -294,6 +363,8 @@ export class KlondikeRules extends GameRules {
 		});
 
 		if (targetPile.type === 'foundation') {
+			// Foundation playback only sends cards back to the tableau
+			if (this.isOnFoundation(card, gameState)) return false;
 			return this.isValidFoundationMove(card, targetPile, gameState);
 		} else if (targetPile.type === 'tableau') {
 			return this.isValidTableauMove(card, targetPile, gameState);
@@ -303,11 +374,14 @@ export class KlondikeRules extends GameRules {
 		return false;
 	}
 
+	isOnFoundation(card, gameState) {
+		return gameState.piles.some(pile => pile.type === 'foundation' && pile.cards.includes(card));
+	}
+
 	// Override stack movement rules for Klondike
 	canMoveStack(cards, targetPile, gameState) {
-		// Klondike: If the bottom card can be placed, the entire stack can move
-		// (The stack is already valid by definition - it wouldn't exist if it wasn't)
-		if (cards.length === 0) return false;
+		// Klondike: any valid run can move if its bottom card can be placed
+		if (!this.isValidSequence(cards)) return false;
 		
 		const bottomCard = cards[0];
 		return this.isValidTableauMove(bottomCard, targetPile, gameState);
@@ -1,8 +1,37 @@
 import { GameRules } from '../core/GameRules.js';
+import { rejectMove } from '../core/MoveValidation.js';
 
 export class SawayamaRules extends GameRules {
-	constructor(deckConfig) {
-		super(deckConfig);
+	constructor(deckConfig, options = {}) {
+		super(deckConfig, options);
+		this.name = 'Sawayama';
+		this.variantId = 'sawayama';
+		
+		// Player options (see getOptionsSchema)
+		this.cardsPerDraw = this.options.drawCount;
+		this.foundationPlayback = this.options.foundationPlayback;
+	}
+
+	// Tunable Sawayama options
+	getOptionsSchema() {
+		return [
+			{
+				key: 'drawCount',
+				label: 'Cards per draw',
+				type: 'select',
+				default: 3,
+				choices: [
+					{ value: 1, label: 'Draw 1' },
+					{ value: 3, label: 'Draw 3' }
+				]
+			},
+			{
+				key: 'foundationPlayback',
+				label: 'Play cards back from foundations',
+				type: 'boolean',
+				default: false
+			}
+		];
 	}
 
 	// Configure game board and deal cards
@@ -81,7 +110,7 @@ export class SawayamaRules extends GameRules {
 	// Override stock drawing rules for Sawayama
 	getStockDrawingRules() {
 		return {
-			cardsPerDraw: 3,
+			cardsPerDraw: this.cardsPerDraw, // 3 unless changed with the drawCount option
 			redealWhenEmpty: false,
 			shuffleOnRedeal: false,
 			faceUpOnDraw: true, // Cards become face up when drawn
@@ -97,6 +126,9 @@ export class SawayamaRules extends GameRules {
 			card: card ? card.getShortDisplay() : 'null',
 			targetCard: targetCard ? targetCard.getShortDisplay() : 'null'
 		});
+
+		if (!targetCard || !targetCard.isFaceUp) return false;
+		return card.getSuitColor() !== targetCard.getSuitColor() && card.rank === targetCard.rank - 1;
 	}
 
     // Create validation rules for each possible move type, then use a Switch-case to check them
@@ -118,11 +150,7 @@ export class SawayamaRules extends GameRules {
 			return true;
 		}
 
-		const topCard = targetPile.cards[targetPile.cards.length - 1];
-		const cardSuitColor = card.getSuitColor();
-		const topCardSuitColor = topCard.getSuitColor();
-
-		return cardSuitColor !== topCardSuitColor && card.rank === topCard.rank - 1;
+		return this.canStackCards(card, targetPile.getTopCard());
 	}
 
 	// Configure blocking conditions for Sawayama
@@ -200,9 +228,30 @@ export class SawayamaRules extends GameRules {
 		return validTargets;
 	}
 
+	// Name the Sawayama rule a refused move breaks
+	explainInvalidMove(card, targetPile, gameState) {
+		const topCard = targetPile.getTopCard();
+
+		if (targetPile.type === 'foundation') {
+			if (!topCard) {
+				return rejectMove('foundationStartsWithAce', 'Only Aces can start a foundation');
+			}
+			return rejectMove('foundationBuildsUpInSuit', `${card.getShortDisplay()} can't go on ${topCard.getShortDisplay()}: foundations build up in suit`);
+		}
+
+		if (targetPile.type === 'tableau' && topCard) {
+			return rejectMove('tableauBuildsDownAlternating', `${card.getShortDisplay()} can't go on ${topCard.getShortDisplay()}: the tableau builds down in alternating colors`);
+		}
+
+		return super.explainInvalidMove(card, targetPile, gameState);
+	}
+
 	// and stacks of cards can be moved together
 	canMoveStack(cards, targetPile, gameState) {
-		// First check if the target pile can accept the bottom card
+		// The cards must form a valid run
+		if (!this.isValidSequence(cards)) return false;
+
+		// Then check if the target pile can accept the bottom card
 		const bottomCard = cards[0];
 		if (!this.isValidTableauMove(bottomCard, targetPile, gameState)) {
 			return false;
@@ -212,9 +261,9 @@ export class SawayamaRules extends GameRules {
 
 	// Check if a card can be moved from its current pile (prevents Foundation → Tableau)
 	canCardBeMovedFromPile(card, sourcePile, gameState) {
-		// Cards cannot be moved from foundation piles to tableau
+		// Cards cannot be moved from foundation piles to tableau unless playback is turned on
 		if (sourcePile.type === 'foundation') {
-			return false;
+			return this.foundationPlayback && sourcePile.getTopCard() === card;
 		}
 		
 		// Cards can be moved from tableau (stack validation will happen later in canMoveStack)
@@ -231,12 +280,6 @@ export class SawayamaRules extends GameRules {
 		return false;
 	}
 
-	// Helper: get the color of a card (red or black)
-	getCardColor(card) {
-		const redSuits = ['hearts', 'diamonds'];
-		return redSuits.includes(card.suit) ? 'red' : 'black';
-	}
-
 	// Helper: check if a card can be moved anywhere
 	canCardBeMoved(card, gameState) {
 		// Check tableau piles
@@ -263,40 +306,13 @@ export class SawayamaRules extends GameRules {
 		return false;
 	}
 
-	// Override card notation config for FreeCell
-	getCardNotationConfig() {
-		const self = this; // Capture 'this' reference
-		return {
-			showStackedIndicator: true,    // Show T/S/U for FreeCell-specific notation
-			position: 'top-right',         // Top-right corner
-			variant: 'sawayama',           // Indicate this is FreeCell-specific notation
-			getNotationLabel: function(card, sourcePile, cardIndex, gameState) {
-				if (sourcePile.type !== 'tableau') {
-					// For non-tableau piles, just show T for top card
-					return cardIndex === sourcePile.cards.length - 1 ? 'T' : '';
-				}
-
-				// For tableau piles, determine if this card is accessible
-				if (cardIndex === sourcePile.cards.length - 1) {
-					return 'T'; // Top card is always accessible
-				}
+	// Same safe auto-moves as FreeCell, since the tableau also builds in alternating colors
+	getAutoMovePolicy() {
+		return { ...super.getAutoMovePolicy(), mode: 'safe' };
+	}
 
-				// Check if this card and all cards above it form a valid stack
-				for (let i = cardIndex; i < sourcePile.cards.length - 1; i++) {
-					const currentCard = sourcePile.cards[i];
-					const nextCard = sourcePile.cards[i + 1];
-					
-					// Cards must be alternating colors and descending order
-					const currentColor = self.getCardColor(currentCard);
-					const nextColor = self.getCardColor(nextCard);
-					if (currentColor === nextColor || nextCard.rank !== currentCard.rank - 1) {
-						return 'U'; // Unaccessible - not part of a valid stack
-					}
-				}
-				
-				return 'S'; // Stacked - part of a valid stack
-			}
-		};
+	isSafeAutoMove(card, targetPile, gameState) {
+		return this.isSafeForAlternatingColors(card, gameState);
 	}
 
 	// Win conditions for Sawayama (same as Klondike)
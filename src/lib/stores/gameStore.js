@@ -1,4 +1,6 @@
-import { writable } from 'svelte/store';
+import { writable, derived, get } from 'svelte/store';
+import { Game } from '../game/core/Game.js';
+import { GameStorage } from '../game/core/GameStorage.js';
 
 // Main game state store
 export const gameState = writable({
@@ -12,6 +14,11 @@ export const gameState = writable({
 	gameWon: false
 });
 
+// The Game instance driving gameState; use gameActions rather than mutating it directly
+export const currentGame = writable(null);
+let unsubscribeGame = null; // Removes the listeners from the current game
+let deadEndGame = null; // Current game while it is stuck (see gameActions.setDeadEnd)
+
 // Deck configuration store
 export const deckConfig = writable({
 	suits: [],
@@ -22,12 +29,24 @@ export const deckConfig = writable({
 
 // Game settings store
 export const gameSettings = writable({
-	showHints: false,
+	showHints: true,
 	autoComplete: true,
 	undoEnabled: true,
+	redoEnabled: true,
 	animationSpeed: 'normal'
 });
 
+// Options chosen in the menu for each variant, keyed by variant id (see GameRules.getOptionsSchema)
+export const variantOptions = writable({});
+
+// Why the last move was refused ({ code, message, id }), shown to the player as a toast
+export const moveNotice = writable(null);
+let noticeCount = 0;
+
+// Finished games per variant, { [variantId]: { won, lost } }, kept in localStorage between visits
+export const gameStats = writable({});
+const statsStorage = new GameStorage({ enabled: true, storage: 'localStorage', key: 'solitaire_stats' });
+
 // UI state store
 export const uiState = writable({
 	selectedCard: null,
@@ -36,53 +55,171 @@ export const uiState = writable({
 	showRules: false
 });
 
+// Copy the engine state into gameState with new references so Svelte re-renders
+function syncGameState(game) {
+	gameState.update(state => ({
+		...state,
+		gameStarted: game.gameStarted,
+		currentDeck: game.deckConfig,
+		gameRules: game.gameRules,
+		cards: game.cards,
+		piles: [...game.piles],
+		score: game.score,
+		moves: [...game.moves],
+		seed: game.seed,
+		dealNumber: game.dealNumber,
+		gameWon: game.gameWon,
+		lastUpdate: Date.now() // Force reactivity
+	}));
+}
+
+// Count the current game as lost if it is left (for a new, restarted or resumed game) while it is stuck
+function recordAbandonedDeadEnd() {
+	const game = get(currentGame);
+	if (game && game === deadEndGame && !game.gameWon) {
+		gameActions.recordResult(game.gameRules.variantId, 'lost');
+		console.log('Stuck game abandoned - recorded as a loss');
+	}
+	deadEndGame = null;
+}
+
+// Make a game the current one and keep gameState in step with its events
+function attachGame(game) {
+	if (unsubscribeGame) unsubscribeGame();
+	recordAbandonedDeadEnd();
+	
+	currentGame.set(game);
+	uiState.update(state => ({ ...state, selectedCard: null }));
+	let winRecorded = game.gameWon; // Count a win once, even if it is undone and won again
+	const unsubscribers = [
+		game.on('stateChanged', () => syncGameState(game)),
+		game.on('gameWon', () => {
+			if (winRecorded) return;
+			winRecorded = true;
+			gameActions.recordResult(game.gameRules.variantId, 'won');
+		}),
+		game.on('moveRejected', ({ code, message }) => moveNotice.set({ code, message, id: ++noticeCount }))
+	];
+	unsubscribeGame = () => unsubscribers.forEach(unsubscribe => unsubscribe());
+	moveNotice.set(null);
+	syncGameState(game);
+}
+
 // Game actions
+// Moves throw a MoveError when they fail; the game has already been rolled back by then
 export const gameActions = {
-	// Start a new game
-	startNewGame: (deckConfig, gameRules) => {
-		gameState.update(state => ({
-			...state,
-			currentDeck: deckConfig,
-			gameRules: gameRules,
-			cards: deckConfig.createDeck(),
-			piles: [],
-			score: 0,
-			moves: [],
-			gameStarted: true,
-			gameWon: false
-		}));
+	// Start a new game; options are passed through to Game.startNewGame (seed, dealNumber)
+	startNewGame: (deckConfig, gameRules, options = {}) => {
+		const game = new Game(deckConfig, gameRules);
+		attachGame(game);
+		game.startNewGame(options);
+		return game;
+	},
+
+	// Resume a game saved with Game.serializeGameState; returns null if it cannot be restored
+	resumeGame: (savedState, deckConfig, gameRules) => {
+		const game = Game.fromSavedState(savedState, deckConfig, gameRules);
+		if (game) attachGame(game);
+		return game;
 	},
 
-	// Make a move
-	makeMove: (card, targetPile) => {
-		gameState.update(state => {
-			// Implementation will be added when we create the game logic
-			return state;
-		});
+	// Make a move; cards stacked on top of the card move with it unless a stack is given
+	makeMove: (card, targetPile, cardStack = null) => {
+		const game = get(currentGame);
+		if (!game) return false;
+		
+		if (!cardStack) {
+			const sourcePile = game.findCardPile(card);
+			cardStack = sourcePile ? sourcePile.cards.slice(sourcePile.cards.indexOf(card)) : [card];
+		}
+		
+		const moved = cardStack.length > 1
+			? game.makeStackMove(card, targetPile, cardStack)
+			: game.makeMove(card, targetPile);
+		if (moved) gameActions.selectCard(null);
+		return moved;
 	},
 
 	// Undo last move
 	undoMove: () => {
-		gameState.update(state => {
-			if (state.moves.length > 0) {
-				const lastMove = state.moves[state.moves.length - 1];
-				// Implementation will be added when we create the game logic
-				return state;
-			}
-			return state;
-		});
+		const game = get(currentGame);
+		if (!game || !get(gameSettings).undoEnabled) return false;
+		
+		return game.undoMove();
+	},
+
+	// Redo the last undone move
+	redoMove: () => {
+		const game = get(currentGame);
+		if (!game || !get(gameSettings).redoEnabled) return false;
+		
+		const redone = game.redoMove();
+		if (redone) gameActions.selectCard(null);
+		return redone;
+	},
+
+	// Play every card the foundations will take once all cards are in play; returns the number played
+	autoComplete: () => {
+		const game = get(currentGame);
+		return game ? game.autoComplete() : 0;
+	},
+
+	// Draw from the stock, or redeal the waste when the stock is empty
+	drawFromStock: () => {
+		const game = get(currentGame);
+		if (game) game.drawFromStock();
+	},
+
+	// Select a card (or null to clear the selection); validTargets follows the selection
+	selectCard: (card) => {
+		uiState.update(state => ({ ...state, selectedCard: card }));
+	},
+
+	// Flag the game as stuck (no moves left that get anywhere) or not; a stuck game counts as lost when abandoned
+	setDeadEnd: (game, isDeadEnd) => {
+		if (isDeadEnd) {
+			deadEndGame = game;
+		} else if (deadEndGame === game) {
+			deadEndGame = null;
+		}
+	},
+
+	// Count a finished game ('won' or 'lost') in the variant's stats
+	recordResult: (variantId, result) => {
+		const stats = { won: 0, lost: 0, ...statsStorage.load(variantId) };
+		stats[result] = (stats[result] || 0) + 1;
+		statsStorage.save(variantId, stats);
+		gameStats.update(all => ({ ...all, [variantId]: stats }));
+		return stats;
 	},
 
 	// Reset game
-	resetGame: () => {
-		gameState.update(state => ({
-			...state,
-			cards: [],
-			piles: [],
-			score: 0,
-			moves: [],
-			gameStarted: false,
-			gameWon: false
-		}));
+	reset: () => {
+		const game = get(currentGame);
+		recordAbandonedDeadEnd();
+		gameActions.selectCard(null);
+		if (game) game.reset(); // Emits stateChanged, which clears gameState
 	}
 };
+
+// Piles the selected card can legally move to
+export const validTargets = derived([currentGame, gameState, uiState], ([$currentGame, $gameState, $uiState]) => {
+	if (!$currentGame || !$gameState.gameStarted || !$uiState.selectedCard) return [];
+	return $currentGame.gameRules.getValidTargets($uiState.selectedCard, $currentGame);
+});
+
+// How many cards have reached the foundations
+export const foundationProgress = derived(gameState, $gameState => {
+	const totalCards = $gameState.cards.length || $gameState.piles.reduce((total, pile) => total + pile.cards.length, 0);
+	const foundationCards = $gameState.piles
+		.filter(pile => pile.type === 'foundation')
+		.reduce((total, pile) => total + pile.cards.length, 0);
+	
+	return {
+		foundationCards,
+		totalCards,
+		percent: totalCards > 0 ? Math.round((foundationCards / totalCards) * 100) : 0
+	};
+});
+
+export const isGameWon = derived(gameState, $gameState => $gameState.gameWon);